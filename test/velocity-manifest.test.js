@@ -0,0 +1,117 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { generateManifest, serializeManifest, globToRegExp, categorize } = require('../velocity-manifest.js');
+
+const buildDirs = [];
+
+test.after(() => {
+    buildDirs.forEach(root => fs.rmSync(root, { recursive: true, force: true }));
+});
+
+function makeBuildDir(files) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'velocity-manifest-'));
+    buildDirs.push(root);
+    for (const [file, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), content);
+    }
+    return root;
+}
+
+test('globToRegExp', async (t) => {
+    await t.test('* stays within a directory', () => {
+        assert.ok(globToRegExp('*.css').test('app.css'));
+        assert.ok(!globToRegExp('*.css').test('css/app.css'));
+    });
+
+    await t.test('**/ matches zero or more directories', () => {
+        const pattern = globToRegExp('**/*.map');
+        assert.ok(pattern.test('app.js.map'));
+        assert.ok(pattern.test('js/vendor/app.js.map'));
+        assert.ok(!pattern.test('app.js'));
+    });
+
+    await t.test('a trailing ** matches anything below', () => {
+        assert.ok(globToRegExp('reports/**').test('reports/2024/index.html'));
+        assert.ok(!globToRegExp('reports/**').test('index.html'));
+    });
+
+    await t.test('? matches one character and {a,b} alternatives', () => {
+        assert.ok(globToRegExp('img/?.png').test('img/a.png'));
+        assert.ok(!globToRegExp('img/?.png').test('img/ab.png'));
+        assert.ok(globToRegExp('*.{png,svg}').test('logo.svg'));
+        assert.ok(!globToRegExp('*.{png,svg}').test('logo.gif'));
+    });
+
+    await t.test('regex characters are literal', () => {
+        assert.ok(globToRegExp('app.(1).js').test('app.(1).js'));
+        assert.ok(!globToRegExp('app.js').test('appxjs'));
+    });
+});
+
+test('categorize', () => {
+    assert.strictEqual(categorize('css/app.css').cacheName, 'STATIC');
+    assert.strictEqual(categorize('img/logo.SVG').type, 'image');
+    assert.strictEqual(categorize('media/intro.mp4').type, 'media');
+    assert.strictEqual(categorize('docs/index.html').cacheName, 'DYNAMIC');
+    assert.deepStrictEqual(categorize('data/feed.xml'), { type: 'dynamic', cacheName: 'DYNAMIC' });
+});
+
+test('serializeManifest writes a script for importScripts', () => {
+    const output = serializeManifest([{ url: '/index.html', revision: 'abc', type: 'html', cacheName: 'DYNAMIC' }]);
+    const self = {};
+
+    assert.ok(output.startsWith('// Generated by velocity-manifest'));
+    new Function('self', output)(self);
+    assert.deepStrictEqual(self.__VELOCITY_PRECACHE_MANIFEST, [
+        { url: '/index.html', revision: 'abc', type: 'html', cacheName: 'DYNAMIC' }
+    ]);
+});
+
+test('generateManifest', async (t) => {
+    await t.test('lists files with revisions and categories', () => {
+        const root = makeBuildDir({ 'index.html': 'home', 'css/app.css': 'body{}', 'app.js.map': '{}' });
+        const { entries } = generateManifest(root, { prefix: '/app' });
+
+        assert.deepStrictEqual(entries.map(entry => [entry.url, entry.type]), [
+            ['/app/css/app.css', 'static'],
+            ['/app/index.html', 'html']
+        ]);
+        assert.strictEqual(entries[0].revision.length, 16);
+    });
+
+    await t.test('skips manifests written by earlier runs', () => {
+        const root = makeBuildDir({ 'index.html': 'home', 'old-manifest.js': serializeManifest([]) });
+        const { entries } = generateManifest(root, { out: 'new-manifest.js' });
+
+        assert.deepStrictEqual(entries.map(entry => entry.url), ['/index.html']);
+    });
+
+    await t.test('adds an exclude list to the default excludes', () => {
+        const root = makeBuildDir({
+            'index.html': 'home',
+            'reports/q1.html': 'report',
+            'app.js.map': '{}',
+            'velocity-worker.js': 'worker'
+        });
+        const { entries } = generateManifest(root, { exclude: ['reports/**'] });
+
+        assert.deepStrictEqual(entries.map(entry => entry.url), ['/index.html']);
+    });
+
+    await t.test('rejects an output outside the build directory', () => {
+        const root = makeBuildDir({ 'index.html': 'home' });
+        assert.throws(() => generateManifest(root, { out: '../manifest.js' }), /inside the build directory/);
+    });
+
+    await t.test('rejects an output that is not a script', () => {
+        const root = makeBuildDir({ 'index.html': 'home' });
+        assert.throws(() => generateManifest(root, { out: 'manifest.json' }), /\.js file/);
+    });
+});
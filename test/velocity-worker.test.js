@@ -0,0 +1,221 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const WORKER_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'velocity-worker.js'), 'utf8');
+
+// In-memory CacheStorage, enough for the strategies
+function createCacheStorage() {
+    const caches = new Map();
+    const keyOf = (request) => typeof request === 'string' ? request : request.url;
+
+    return {
+        async open(name) {
+            if (!caches.has(name)) {
+                const entries = new Map();
+                caches.set(name, {
+                    entries,
+                    async match(request) {
+                        return entries.get(keyOf(request))?.clone();
+                    },
+                    async put(request, response) {
+                        entries.set(keyOf(request), response);
+                    },
+                    async delete(request) {
+                        return entries.delete(keyOf(request));
+                    },
+                    async keys() {
+                        return Array.from(entries.keys(), url => new Request(url));
+                    }
+                });
+            }
+            return caches.get(name);
+        },
+        async has(name) {
+            return caches.has(name);
+        },
+        async keys() {
+            return Array.from(caches.keys());
+        },
+        async delete(name) {
+            return caches.delete(name);
+        }
+    };
+}
+
+// Evaluates the worker script in its own context. There is no IndexedDB, so
+// the persisted config fails to load and the defaults apply; tests replace the
+// worker's top-level functions on the returned context where they need to.
+async function loadWorker({ fetch }) {
+    const context = vm.createContext({
+        self: {
+            location: new URL('https://example.test/velocity-worker.js'),
+            registration: {},
+            clients: { matchAll: async () => [], claim: async () => {} },
+            skipWaiting: async () => {},
+            addEventListener() {}
+        },
+        console: { log() {}, warn() {}, error() {} },
+        caches: createCacheStorage(),
+        fetch,
+        URL, Request, Response, Headers, AbortController, DOMException,
+        setTimeout, clearTimeout,
+        setInterval: () => 0,
+        clearInterval() {},
+        structuredClone, performance,
+        BroadcastChannel: class { postMessage() {} }
+    });
+
+    vm.runInContext(WORKER_SOURCE + '\n;globalThis.configReady = configReady;', context);
+    await context.configReady;
+    return context;
+}
+
+function abortError() {
+    return new DOMException('The operation was aborted.', 'AbortError');
+}
+
+test('outbox', async (t) => {
+    await t.test('queues requests that failed on the network', async () => {
+        const worker = await loadWorker({ fetch: async () => { throw new TypeError('Failed to fetch'); } });
+        const queued = [];
+        worker.workerDBPut = async (store, entry) => { queued.push(entry); return queued.length; };
+        worker.registerOutboxSync = async () => {};
+
+        const response = await worker.handleOutboxRequest(new Request('https://example.test/api', { method: 'POST', body: 'a' }));
+
+        assert.strictEqual(response.status, 202);
+        assert.strictEqual(queued.length, 1);
+        assert.strictEqual(queued[0].method, 'POST');
+    });
+
+    await t.test('does not queue requests the page aborted', async () => {
+        const worker = await loadWorker({ fetch: async () => { throw abortError(); } });
+        const queued = [];
+        worker.workerDBPut = async (store, entry) => { queued.push(entry); return queued.length; };
+        worker.registerOutboxSync = async () => {};
+
+        await assert.rejects(
+            worker.handleOutboxRequest(new Request('https://example.test/api', { method: 'POST', body: 'a' })),
+            { name: 'AbortError' }
+        );
+        assert.strictEqual(queued.length, 0);
+    });
+
+    await t.test('does not queue requests whose signal is aborted', async () => {
+        const worker = await loadWorker({ fetch: async () => { throw new TypeError('Failed to fetch'); } });
+        const queued = [];
+        worker.workerDBPut = async (store, entry) => { queued.push(entry); return queued.length; };
+        worker.registerOutboxSync = async () => {};
+
+        const controller = new AbortController();
+        const request = new Request('https://example.test/api', { method: 'POST', body: 'a', signal: controller.signal });
+        controller.abort();
+
+        await assert.rejects(worker.handleOutboxRequest(request));
+        assert.strictEqual(queued.length, 0);
+    });
+});
+
+test('force refresh', async (t) => {
+    const appShell = 'https://example.test/app.js';
+
+    async function loadWithPrecachedShell(fetch) {
+        const worker = await loadWorker({ fetch });
+        worker.self.__VELOCITY_PRECACHE_MANIFEST = [{ url: '/app.js', revision: 'abc' }];
+
+        const precache = await worker.caches.open(worker.resolveCacheName('PRECACHE'));
+        await precache.put(appShell, new Response('old', { headers: { 'X-VelocityCache-Revision': 'abc' } }));
+        return { worker, precache };
+    }
+
+    await t.test('refreshes manifest entries in their own cache with their revision', async () => {
+        const { worker, precache } = await loadWithPrecachedShell(async () => new Response('new'));
+        worker.executePrefetch = async () => assert.fail('manifest entries are not prefetched');
+
+        await worker.handleForceRefresh(appShell, 'm1');
+
+        const response = await precache.match(appShell);
+        assert.strictEqual(await response.text(), 'new');
+        assert.strictEqual(response.headers.get('X-VelocityCache-Revision'), 'abc');
+    });
+
+    await t.test('keeps the precached copy when the refetch fails', async () => {
+        const { worker, precache } = await loadWithPrecachedShell(async () => { throw new TypeError('Failed to fetch'); });
+
+        await worker.handleForceRefresh(appShell, 'm1');
+
+        assert.strictEqual(await (await precache.match(appShell)).text(), 'old');
+    });
+
+    await t.test('keeps offline fallbacks in the offline cache', async () => {
+        const offlinePage = 'https://example.test/offline.html';
+        const worker = await loadWorker({ fetch: async () => new Response('new offline page') });
+        worker.applyConfig({ OFFLINE: { PAGE: '/offline.html' } });
+
+        const offline = await worker.caches.open(worker.resolveCacheName('OFFLINE'));
+        await offline.put(offlinePage, new Response('offline page'));
+
+        await worker.handleForceRefresh(offlinePage, 'm1');
+
+        assert.strictEqual(await (await offline.match(offlinePage)).text(), 'new offline page');
+    });
+});
+
+test('invalidation', async (t) => {
+    await t.test('leaves precached entries alone', async () => {
+        const worker = await loadWorker({ fetch: async () => new Response('') });
+        worker.self.__VELOCITY_PRECACHE_MANIFEST = [
+            { url: '/app.js', revision: 'abc' },
+            { url: '/logo.png', revision: 'def', cacheName: 'STATIC' }
+        ];
+
+        const precache = await worker.caches.open(worker.resolveCacheName('PRECACHE'));
+        const staticCache = await worker.caches.open(worker.resolveCacheName('STATIC'));
+        await precache.put('https://example.test/app.js', new Response('', { headers: { 'X-VelocityCache-Revision': 'abc' } }));
+        await staticCache.put('https://example.test/logo.png', new Response('', { headers: { 'X-VelocityCache-Revision': 'def' } }));
+        await staticCache.put('https://example.test/photo.png', new Response(''));
+
+        await worker.handleCacheInvalidation('.*', 'm1');
+
+        assert.ok(await precache.match('https://example.test/app.js'));
+        assert.ok(await staticCache.match('https://example.test/logo.png'));
+        assert.strictEqual(await staticCache.match('https://example.test/photo.png'), undefined);
+    });
+});
+
+test('no-store responses', async (t) => {
+    const url = 'https://example.test/account.html';
+    const noStore = () => new Response('private', { headers: { 'Cache-Control': 'private, no-store' } });
+    const strategies = ['cacheFirstStrategy', 'networkFirstStrategy', 'staleWhileRevalidateStrategy'];
+
+    for (const strategy of strategies) {
+        await t.test(`are served but not cached by ${strategy}`, async () => {
+            const worker = await loadWorker({ fetch: async () => noStore() });
+            const cacheName = worker.resolveCacheName('DYNAMIC');
+
+            const response = await worker[strategy](new Request(url), cacheName);
+            assert.strictEqual(await response.text(), 'private');
+
+            // Stale-while-revalidate stores without waiting
+            await new Promise(resolve => setTimeout(resolve, 0));
+            const cache = await worker.caches.open(cacheName);
+            assert.strictEqual(await cache.match(url), undefined);
+        });
+    }
+
+    await t.test('are not stored by prefetches', async () => {
+        const worker = await loadWorker({ fetch: async () => noStore() });
+
+        await worker.executePrefetch({ url, messageId: 'm1', priority: 5 });
+
+        for (const cacheName of await worker.caches.keys()) {
+            const cache = await worker.caches.open(cacheName);
+            assert.strictEqual(await cache.match(url), undefined);
+        }
+    });
+});
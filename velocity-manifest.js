@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+// velocity-manifest.js - Precache manifest generator for velocity-worker.js
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_OPTIONS = {
+    include: ['**/*'],
+    exclude: ['**/*.map', '**/.*', '**/.*/**', 'velocity-worker.js'],
+    out: 'velocity-precache-manifest.js',
+    prefix: '/',
+    maxFileSize: 2097152, // 2 MB, larger files are left to runtime caching
+    hashLength: 16
+};
+
+// Mirrors DEFAULT_ROUTES in velocity-worker.js. The worker classifies HTML by
+// its Accept header; here the .html extension stands in for it.
+const CATEGORIES = [
+    { type: 'static', pattern: /\.(css|js|woff2?|ttf|eot)$/i, cacheName: 'STATIC' },
+    { type: 'image', pattern: /\.(png|jpe?g|gif|webp|svg|ico)$/i, cacheName: 'STATIC' },
+    { type: 'media', pattern: /\.(mp4|webm|mp3|wav|ogg)$/i, cacheName: 'STATIC' },
+    { type: 'html', pattern: /\.html?$/i, cacheName: 'DYNAMIC' }
+];
+
+const FALLBACK_CATEGORY = { type: 'dynamic', cacheName: 'DYNAMIC' };
+
+// First line of every manifest we write, so earlier outputs are never listed as assets
+const GENERATED_HEADER = '// Generated by velocity-manifest, do not edit\n';
+
+const USAGE = `Usage: velocity-manifest <build-dir> [options]
+
+Scans a build directory and writes a precache manifest for velocity-worker.js.
+
+Options:
+  -i, --include <glob>      Files to include (repeatable, default: **/*)
+  -x, --exclude <glob>      Files to exclude (repeatable, added to the defaults:
+                            **/*.map, dotfiles, velocity-worker.js)
+  -o, --out <file>          Output .js file inside the build dir
+                            (default: velocity-precache-manifest.js)
+  -p, --prefix <path>       URL prefix the build is served from (default: /)
+      --max-file-size <n>   Skip files larger than n bytes (default: 2097152)
+      --hash-length <n>     Revision hash length (default: 16)
+  -h, --help                Show this help
+`;
+
+// Minimal glob support: **, *, ?, and {a,b} alternatives
+function globToRegExp(glob) {
+    let source = '';
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '*') {
+            if (glob[i + 1] === '*') {
+                // "**/" matches zero or more directories, a trailing "**" anything
+                if (glob[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i += 1;
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            const end = glob.indexOf('}', i);
+            if (end === -1) {
+                source += '\\{';
+            } else {
+                const alternatives = glob.slice(i + 1, end).split(',').map(part => globToRegExp(part).source.slice(1, -1));
+                source += `(?:${alternatives.join('|')})`;
+                i = end;
+            }
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+function matchesAny(relativePath, patterns) {
+    return patterns.some(pattern => pattern.test(relativePath));
+}
+
+function walk(directory, root = directory) {
+    const files = [];
+
+    for (const dirent of fs.readdirSync(directory, { withFileTypes: true })) {
+        const fullPath = path.join(directory, dirent.name);
+
+        if (dirent.isDirectory()) {
+            files.push(...walk(fullPath, root));
+        } else if (dirent.isFile()) {
+            files.push(path.relative(root, fullPath).split(path.sep).join('/'));
+        }
+    }
+
+    return files;
+}
+
+function categorize(relativePath) {
+    return CATEGORIES.find(category => category.pattern.test(relativePath)) || FALLBACK_CATEGORY;
+}
+
+// Manifests from earlier runs, whatever --out they were written to
+function isGeneratedManifest(filePath) {
+    if (!filePath.endsWith('.js')) return false;
+
+    const header = Buffer.alloc(GENERATED_HEADER.length);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+        return header.toString('utf8', 0, bytesRead) === GENERATED_HEADER;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// The worker loads the manifest with importScripts, so it must be a script
+// inside the build directory
+function resolveOutPath(root, out) {
+    if (!out.endsWith('.js')) {
+        throw new Error(`--out must be a .js file: ${out}`);
+    }
+
+    const outPath = path.resolve(root, out);
+    const relative = path.relative(root, outPath);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw new Error(`--out must be inside the build directory: ${out}`);
+    }
+
+    return outPath;
+}
+
+function hashFile(filePath, length) {
+    return crypto.createHash('sha256')
+        .update(fs.readFileSync(filePath))
+        .digest('hex')
+        .slice(0, length);
+}
+
+function toUrl(relativePath, prefix) {
+    const base = prefix.endsWith('/') ? prefix : `${prefix}/`;
+    return base + relativePath.split('/').map(encodeURIComponent).join('/');
+}
+
+// Build manifest entries for a directory; also usable from build scripts
+function generateManifest(buildDir, userOptions = {}) {
+    // A user exclude list adds to the defaults, so source maps and the worker stay out
+    const options = {
+        ...DEFAULT_OPTIONS,
+        ...userOptions,
+        exclude: [...DEFAULT_OPTIONS.exclude, ...(userOptions.exclude || [])]
+    };
+    const root = path.resolve(buildDir);
+
+    if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+        throw new Error(`Build directory not found: ${buildDir}`);
+    }
+
+    const outPath = resolveOutPath(root, options.out);
+    const include = options.include.map(globToRegExp);
+    const exclude = options.exclude.map(globToRegExp);
+    const skipped = [];
+
+    const entries = walk(root)
+        .filter(file => matchesAny(file, include) && !matchesAny(file, exclude))
+        .filter(file => {
+            const filePath = path.join(root, file);
+            return filePath !== outPath && !isGeneratedManifest(filePath);
+        })
+        .filter(file => {
+            const { size } = fs.statSync(path.join(root, file));
+            if (size > options.maxFileSize) {
+                skipped.push({ file, size });
+                return false;
+            }
+            return true;
+        })
+        .sort()
+        .map(file => {
+            const { type, cacheName } = categorize(file);
+            return {
+                url: toUrl(file, options.prefix),
+                revision: hashFile(path.join(root, file), options.hashLength),
+                type,
+                cacheName
+            };
+        });
+
+    return { entries, skipped, outPath };
+}
+
+function serializeManifest(entries) {
+    return `${GENERATED_HEADER}self.__VELOCITY_PRECACHE_MANIFEST = ${JSON.stringify(entries, null, 2)};\n`;
+}
+
+function parseArgs(argv) {
+    const options = { include: [], exclude: [] };
+    const positional = [];
+
+    const takeValue = (index, flag) => {
+        const value = argv[index + 1];
+        if (value === undefined || value.startsWith('-')) {
+            throw new Error(`Missing value for ${flag}`);
+        }
+        return value;
+    };
+
+    const takeNumber = (index, flag) => {
+        const value = Number(takeValue(index, flag));
+        if (!Number.isInteger(value) || value <= 0) {
+            throw new Error(`${flag} expects a positive integer`);
+        }
+        return value;
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        switch (arg) {
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '-i':
+            case '--include':
+                options.include.push(takeValue(i++, arg));
+                break;
+            case '-x':
+            case '--exclude':
+                options.exclude.push(takeValue(i++, arg));
+                break;
+            case '-o':
+            case '--out':
+                options.out = takeValue(i++, arg);
+                break;
+            case '-p':
+            case '--prefix':
+                options.prefix = takeValue(i++, arg);
+                break;
+            case '--max-file-size':
+                options.maxFileSize = takeNumber(i++, arg);
+                break;
+            case '--hash-length':
+                options.hashLength = takeNumber(i++, arg);
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                positional.push(arg);
+        }
+    }
+
+    if (options.include.length === 0) {
+        delete options.include;
+    }
+
+    return { buildDir: positional[0], options };
+}
+
+function main(argv = process.argv.slice(2)) {
+    let parsed;
+
+    try {
+        parsed = parseArgs(argv);
+    } catch (error) {
+        console.error(`[velocity-manifest] ${error.message}\n`);
+        console.error(USAGE);
+        return 1;
+    }
+
+    const { buildDir, options } = parsed;
+
+    if (options.help || !buildDir) {
+        (options.help ? console.log : console.error)(USAGE);
+        return options.help ? 0 : 1;
+    }
+
+    try {
+        const { entries, skipped, outPath } = generateManifest(buildDir, options);
+
+        fs.writeFileSync(outPath, serializeManifest(entries));
+
+        skipped.forEach(({ file, size }) => {
+            console.warn(`[velocity-manifest] Skipped ${file} (${size} bytes exceeds --max-file-size)`);
+        });
+        console.log(`[velocity-manifest] Wrote ${entries.length} entries to ${path.relative(process.cwd(), outPath)}`);
+        return 0;
+    } catch (error) {
+        console.error(`[velocity-manifest] ${error.message}`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = main();
+}
+
+module.exports = {
+    generateManifest,
+    serializeManifest,
+    globToRegExp,
+    categorize
+};
@@ -8,14 +8,57 @@ const SW_CONFIG = {
         STATIC: 'velocity-static-v1',
         DYNAMIC: 'velocity-dynamic-v1',
         PREFETCH: 'velocity-prefetch-v1',
-        API: 'velocity-api-v1'
+        API: 'velocity-api-v1',
+        OFFLINE: 'velocity-offline-v1',
+        PRECACHE: 'velocity-precache-v1',
+        OPAQUE: 'velocity-opaque-v1' // No-cors responses from allowlisted origins, whatever their route
     },
     MAX_CACHE_SIZES: {
         STATIC: 50,
         DYNAMIC: 100,
         PREFETCH: 200,
-        API: 30
+        API: 30,
+        OFFLINE: 50,
+        OPAQUE: 20
     },
+    MAX_CACHE_BYTES: {
+        STATIC: 52428800, // 50 MB
+        DYNAMIC: 20971520, // 20 MB
+        PREFETCH: 52428800, // 50 MB
+        API: 5242880, // 5 MB
+        OFFLINE: 10485760, // 10 MB
+        OPAQUE: 146800640 // 140 MB, 20 opaque responses at OPAQUE_RESPONSE_SIZE
+    },
+    // Offline fallbacks, precached on install and when the page's config arrives
+    OFFLINE: {
+        PAGE: null, // e.g. '/offline.html'
+        IMAGE: null, // e.g. '/images/offline.svg'
+        ROUTES: [] // [{ pattern: '^/docs/', page: '/docs/offline.html' }], first match wins
+    },
+    // Outbox for mutations that fail offline, replayed in order once back online
+    OUTBOX: {
+        ROUTES: [], // Opt-in, e.g. [{ pattern: '^/api/comments', method: ['POST'] }]
+        MAX_RETRIES: 5, // Replay attempts before a request is dropped
+        MAX_AGE: 86400000 // Drop queued requests older than a day
+    },
+    // Other origins handled like our own, synced from the page's ALLOWED_ORIGINS.
+    // Entries may set a default strategy, cacheName (CACHE_NAMES key) and maxAge.
+    ALLOWED_ORIGINS: [], // e.g. [{ origin: 'https://cdn.example.com', strategy: 'cache-first', cacheName: 'STATIC' }]
+    OPAQUE_RESPONSE_SIZE: 7340032, // Bytes counted per opaque response, about what browsers charge against quota
+    // URLs PREFETCH messages may not fetch, synced from the page's PREFETCH_INCLUDE,
+    // PREFETCH_EXCLUDE and PREFETCH_DEFAULT_EXCLUDES (globs and RegExps only)
+    PREFETCH_RULES: {
+        INCLUDE: [],
+        EXCLUDE: [],
+        DEFAULT_EXCLUDES: true
+    },
+    // Aggregated hit/miss metrics, persisted so they survive worker restarts
+    METRICS: {
+        BUCKET_SIZE: 3600000, // 1 hour per time bucket
+        RETENTION: 604800000, // Keep 7 days of buckets
+        FLUSH_INTERVAL: 10000 // Write pending counts to IndexedDB every 10 seconds
+    },
+    STORAGE_QUOTA_RATIO: 0.8, // Evict before the origin uses this share of its quota
     TIMEOUTS: {
         FETCH: 5000,
         PREFETCH: 8000,
@@ -26,15 +69,186 @@ const SW_CONFIG = {
         CACHE_FIRST: 1000
     },
     CLEANUP_INTERVAL: 300000, // 5 minutes
-    PERFORMANCE_BUDGET: 50 // Max concurrent operations
+    PERFORMANCE_BUDGET: 50, // Max concurrent operations
+    ROUTES: [] // Custom routes, checked before DEFAULT_ROUTES
+};
+
+const STRATEGIES = ['cache-first', 'network-first', 'stale-while-revalidate', 'network-only'];
+
+// Built-in route table, evaluated in order after any configured ROUTES.
+// Patterns are tested against the URL pathname.
+const DEFAULT_ROUTES = [
+    {
+        type: 'static',
+        match: { pattern: /\.(css|js|woff2?|ttf|eot)$/i },
+        strategy: 'cache-first',
+        cacheName: 'STATIC'
+    },
+    {
+        type: 'image',
+        match: { pattern: /\.(png|jpe?g|gif|webp|svg|ico)$/i },
+        strategy: 'cache-first',
+        cacheName: 'STATIC'
+    },
+    {
+        type: 'media',
+        match: { pattern: /\.(mp4|webm|mp3|wav|ogg)$/i },
+        strategy: 'cache-first',
+        cacheName: 'STATIC'
+    },
+    {
+        type: 'api',
+        match: { pattern: /^\/api\/|\/graphql/i },
+        strategy: 'network-first',
+        cacheName: 'API'
+    },
+    {
+        type: 'html',
+        match: { header: { name: 'Accept', includes: 'text/html' } },
+        strategy: 'network-first',
+        cacheName: 'DYNAMIC'
+    },
+    {
+        type: 'prefetch',
+        match: { header: { name: 'X-Prefetch-Source' } },
+        strategy: 'stale-while-revalidate',
+        cacheName: 'PREFETCH'
+    }
+];
+
+const FALLBACK_ROUTE = {
+    type: 'dynamic',
+    match: {},
+    strategy: 'network-first',
+    cacheName: 'DYNAMIC'
+};
+
+// Pristine copy so page overrides are always applied on top of the defaults
+const DEFAULT_SW_CONFIG = JSON.parse(JSON.stringify(SW_CONFIG));
+
+// Keys the page is allowed to override via UPDATE_CONFIG
+const CONFIGURABLE_KEYS = [
+    'CACHE_NAMES',
+    'MAX_CACHE_SIZES',
+    'MAX_CACHE_BYTES',
+    'STORAGE_QUOTA_RATIO',
+    'TIMEOUTS',
+    'STRATEGY_TIMEOUTS',
+    'CLEANUP_INTERVAL',
+    'PERFORMANCE_BUDGET',
+    'ROUTES',
+    'OFFLINE',
+    'OUTBOX',
+    'METRICS',
+    'PREFETCH_RULES',
+    'ALLOWED_ORIGINS',
+    'OPAQUE_RESPONSE_SIZE'
+];
+
+// Caches managed by the precache manifest or the offline config instead of
+// size-based eviction
+const NON_EVICTABLE_CACHES = ['PRECACHE', 'OFFLINE'];
+
+// Installing workers fetch changed manifest entries into a cache with this
+// prefix, moved into place on activate
+const PRECACHE_STAGING_PREFIX = 'velocity-precache-staging-';
+
+// When each opaque response was stored, since it can't carry our headers
+const OPAQUE_TIMESTAMP_CACHE = 'velocity-opaque-timestamps-v1';
+const opaqueStoredAt = new WeakMap(); // opaque Response -> stored at, set by matchCachedResponse
+
+// Responses answered from our caches, as recorded by recordCacheHit and
+// recordCacheFallback, for tagCachedNavigation
+const cacheServedResponses = new WeakSet();
+
+// How long a navigation announced by a page waits for its request
+const NAVIGATION_GROUP_TTL = 10000;
+
+// Lists the cached pages that are available offline, for fallback pages to link to
+const OFFLINE_PAGES_ENDPOINT = '/__velocity/offline-pages.json';
+
+// Freshness for responses without caching headers or a route maxAge (1 hour)
+const DEFAULT_FRESHNESS_LIFETIME = 3600000;
+
+// Headers a 304 must not overwrite on the stored response
+const NOT_MODIFIED_IGNORED_HEADERS = ['content-length', 'content-encoding', 'content-range', 'transfer-encoding'];
+
+// Methods the outbox queues, and the Background Sync tag that replays them
+const OUTBOX_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const OUTBOX_SYNC_TAG = 'velocity-outbox';
+
+// GET links that commonly change state on the server, mirrors
+// DEFAULT_EXCLUDE_RULES in velocity.js
+const DEFAULT_PREFETCH_EXCLUDES = [
+    /\/(log-?out|sign-?out|log-?off|sign-?off)(?:[/?.]|$)/i,
+    /\/(delete|remove|destroy|unsubscribe|cancel|revoke)(?:[/?.]|$)/i,
+    /\/cart\/(add|update|clear|empty)(?:[/?.]|$)/i,
+    /[?&](action|do|op|cmd|task)=(delete|remove|destroy|log-?out|sign-?out|unsubscribe|cancel)(?:&|$)/i,
+    /[?&](add-to-cart|remove_item|empty-cart)=/i,
+    /[?&](_?wpnonce|nonce|csrf_?token|_token)=/i
+];
+
+// Per-URL overrides from data-velocity-strategy / data-velocity-cache links,
+// kept in memory for a day
+const LINK_ROUTE_TTL = 86400000;
+const MAX_LINK_ROUTES = 200;
+
+// Worker-side IndexedDB, used to survive worker restarts
+const SW_DB = {
+    NAME: 'VelocitySW',
+    VERSION: 3,
+    STORES: {
+        CONFIG: 'config',
+        OUTBOX: 'outbox', // v2: queued mutations, keyed in arrival order
+        METRICS: 'metrics' // v3: aggregated metrics, one record per time bucket
+    }
 };
 
+// Optional precache manifest script, registered as velocity-worker.js?precache=/path.js.
+// It must set self.__VELOCITY_PRECACHE_MANIFEST = [{ url, revision }, ...]. Imported
+// scripts are byte-checked for updates, so a new manifest triggers a worker update.
+const PRECACHE_MANIFEST_URL = new URL(self.location.href).searchParams.get('precache');
+if (PRECACHE_MANIFEST_URL) {
+    try {
+        const manifestUrl = new URL(PRECACHE_MANIFEST_URL, self.location.origin);
+        if (manifestUrl.origin === self.location.origin) {
+            importScripts(manifestUrl.href);
+        } else {
+            console.error('[VelocityCache SW] Ignoring cross-origin precache manifest:', manifestUrl.href);
+        }
+    } catch (error) {
+        console.error('[VelocityCache SW] Failed to load precache manifest:', error);
+    }
+}
+
 // Global state
 let broadcastChannel;
 let performanceCounter = 0;
 let prefetchQueue = new Map();
+let inFlightPrefetches = new Map(); // url -> { controller, messageIds } of the prefetch running
+let prefetchRequesters = new Map(); // url -> Set of page ids still wanting it, queued or in flight
 let cacheMetrics = new Map();
+let pendingMetrics = new Map(); // bucket start -> counts not yet written to IndexedDB
+let metricsFlush = null; // Scheduled write of pendingMetrics, see scheduleMetricsFlush
+let cacheByteTotals = new Map(); // cacheName -> bytes, rebuilt lazily by getCacheBytes
+let precachedEntryCounts = new Map(); // cacheName -> manifest entries, rebuilt with cacheByteTotals
 let isOnline = true;
+let cleanupTimer = null;
+let configLoaded = false;
+let outboxReplay = null; // In-flight replay, so sync and online don't race
+let clientGroups = new Map(); // clientId -> experiment group reported by that page
+let navigationGroups = new Map(); // url -> { group, expires } announced by the navigating page
+let userExperimentGroup = null; // Group of HOLDOUT_UNIT 'user' pages, the same in every tab
+let linkRoutes = new Map(); // url -> { strategy, cacheName, timestamp } requested by a link
+
+// Open the channel on every startup, not just on install, so a restarted
+// worker can still talk to pages
+initializeBroadcastChannel();
+
+// Restore the last configuration the page sent us before serving anything
+const configReady = loadPersistedConfig().then(() => {
+    configLoaded = true;
+});
 
 // Register event listeners during initial script evaluation
 self.addEventListener('install', (event) => {
@@ -44,6 +258,8 @@ self.addEventListener('install', (event) => {
         Promise.all([
             initializeCaches(),
             initializeBroadcastChannel(),
+            precacheOfflineFallbacks(),
+            precacheManifestEntries(),
             self.skipWaiting()
         ])
     );
@@ -54,7 +270,9 @@ self.addEventListener('activate', (event) => {
     
     event.waitUntil(
         Promise.all([
-            cleanupOldCaches(),
+            // Old caches are only cleaned up once the staged entries are out of staging
+            activatePrecacheEntries()
+                .then(() => Promise.all([cleanupOldCaches(), removeStalePrecacheEntries()])),
             startPeriodicCleanup(),
             self.clients.claim()
         ])
@@ -66,6 +284,13 @@ self.addEventListener('online', () => {
     console.log('[VelocityCache SW] Network online');
     isOnline = true;
     broadcastMessage({ type: 'ONLINE_STATUS', isOnline: true });
+    
+    // Without Background Sync, coming back online is our cue to replay
+    if (!('sync' in self.registration)) {
+        replayOutbox().catch(error => {
+            console.log('[VelocityCache SW] Outbox replay incomplete:', error.message);
+        });
+    }
 });
 
 self.addEventListener('offline', () => {
@@ -79,21 +304,100 @@ self.addEventListener('fetch', (event) => {
     const request = event.request;
     const url = new URL(request.url);
     
-    // Skip non-GET requests and different origins
-    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    // Other origins only when allowlisted, and only for reads
+    if (url.origin !== self.location.origin) {
+        if (request.method !== 'GET') return;
+        
+        if (!configLoaded) {
+            // The allowlist is not known until the persisted config is loaded
+            respondWithMetrics(event, configReady.then(() =>
+                getAllowedOrigin(url.origin) ? handleGetRequest(event) : fetch(request)));
+            return;
+        }
+        
+        if (!getAllowedOrigin(url.origin)) return;
+        
+        respondWithMetrics(event, handleGetRequest(event));
+        return;
+    }
+    
+    // Mutations only go through us when an outbox route claims them
+    if (request.method !== 'GET') {
+        if (!OUTBOX_METHODS.includes(request.method)) return;
+        
+        if (configLoaded) {
+            if (matchOutboxRoute(request) && getExperimentGroup(event) !== 'holdout') {
+                event.respondWith(handleOutboxRequest(request));
+            }
+        } else {
+            // Routes are not known until the persisted config is loaded
+            event.respondWith(configReady.then(() =>
+                matchOutboxRoute(request) && getExperimentGroup(event) !== 'holdout'
+                    ? handleOutboxRequest(request)
+                    : fetch(request)));
+        }
         return;
     }
     
+    if (url.pathname === OFFLINE_PAGES_ENDPOINT) {
+        event.respondWith(createOfflinePagesResponse());
+        return;
+    }
+    
+    respondWithMetrics(event, handleGetRequest(event));
+});
+
+// Keep the worker alive until the metrics the request recorded are written
+function respondWithMetrics(event, responsePromise) {
+    event.respondWith(responsePromise);
+    event.waitUntil(responsePromise.catch(() => {}).then(() => metricsFlush));
+}
+
+function handleGetRequest(event) {
+    const request = event.request;
+    
     // Skip if cache should be bypassed
     if (shouldBypassCache(request)) {
-        event.respondWith(
-            fetchWithTimeout(request, SW_CONFIG.TIMEOUTS.FETCH)
-                .catch(() => createOfflineResponse(request))
-        );
+        return configReady
+            .then(() => fetchWithTimeout(request, SW_CONFIG.TIMEOUTS.FETCH))
+            .catch(() => createOfflineResponse(request));
+    }
+    
+    return configReady.then(() => {
+        const group = getExperimentGroup(event);
+        
+        // The control group goes straight to the network, measured the same way
+        if (group === 'holdout') {
+            return handleHoldoutRequest(request);
+        }
+        
+        return matchPrecache(request, group)
+            .then(precached => precached || handleFetchWithStrategy(request, group))
+            .then(response => tagCachedNavigation(request, response));
+    });
+}
+
+// Direct messages wake a stopped worker, unlike BroadcastChannel, so pages
+// use them for anything that must not be lost (such as configuration)
+self.addEventListener('message', (event) => {
+    if (!event.data || !event.data.type) return;
+    
+    if (event.data.type === 'UPDATE_CONFIG') {
+        event.waitUntil(handleConfigUpdate(event.data.config, event.data.messageId));
         return;
     }
     
-    event.respondWith(handleFetchWithStrategy(request));
+    if (event.data.type === 'SET_EXPERIMENT_GROUP') {
+        event.waitUntil(handleExperimentGroup(event.source?.id, event.data.group, event.data.unit));
+        return;
+    }
+    
+    if (event.data.type === 'NAVIGATION_GROUP') {
+        handleNavigationGroup(event.data.url, event.data.group);
+        return;
+    }
+    
+    event.waitUntil(handleBroadcastMessage(event));
 });
 
 // Register background sync listeners during initial script evaluation
@@ -103,6 +407,9 @@ if ('sync' in self.registration) {
             event.waitUntil(handleBackgroundCleanup());
         } else if (event.tag === 'velocity-cache-prefetch') {
             event.waitUntil(processPrefetchQueue());
+        } else if (event.tag === OUTBOX_SYNC_TAG) {
+            // A rejection tells the browser to retry the sync later
+            event.waitUntil(replayOutbox());
         }
     });
 }
@@ -116,6 +423,8 @@ self.addEventListener('unhandledrejection', (event) => {
 // Initialize caches with predefined structure
 async function initializeCaches() {
     try {
+        await configReady;
+        
         // Pre-warm critical caches
         await Promise.all([
             caches.open(SW_CONFIG.CACHE_NAMES.STATIC),
@@ -132,6 +441,8 @@ async function initializeCaches() {
 
 // Initialize BroadcastChannel for efficient communication
 function initializeBroadcastChannel() {
+    if (broadcastChannel) return;
+    
     try {
         broadcastChannel = new BroadcastChannel('velocity-cache-channel');
         broadcastChannel.onmessage = handleBroadcastMessage;
@@ -145,8 +456,10 @@ function initializeBroadcastChannel() {
 // Clean up old cache versions
 async function cleanupOldCaches() {
     try {
+        await configReady;
+        
         const cacheNames = await caches.keys();
-        const currentCaches = Object.values(SW_CONFIG.CACHE_NAMES);
+        const currentCaches = [...getActiveCacheNames(), OPAQUE_TIMESTAMP_CACHE];
         
         const deletionPromises = cacheNames
             .filter(cacheName => !currentCaches.includes(cacheName))
@@ -162,31 +475,729 @@ async function cleanupOldCaches() {
     }
 }
 
-// Smart fetch strategy selector
-async function handleFetchWithStrategy(request) {
+// Worker-side IndexedDB helpers
+function openWorkerDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(SW_DB.NAME, SW_DB.VERSION);
+        
+        request.onupgradeneeded = (event) => {
+            const db = event.target.result;
+            
+            if (!db.objectStoreNames.contains(SW_DB.STORES.CONFIG)) {
+                db.createObjectStore(SW_DB.STORES.CONFIG);
+            }
+            
+            if (!db.objectStoreNames.contains(SW_DB.STORES.OUTBOX)) {
+                db.createObjectStore(SW_DB.STORES.OUTBOX, { keyPath: 'id', autoIncrement: true });
+            }
+            
+            if (!db.objectStoreNames.contains(SW_DB.STORES.METRICS)) {
+                db.createObjectStore(SW_DB.STORES.METRICS, { keyPath: 'bucket' });
+            }
+        };
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function workerDBGet(storeName, key) {
+    const db = await openWorkerDB();
+    
+    try {
+        return await new Promise((resolve, reject) => {
+            const request = db.transaction(storeName, 'readonly').objectStore(storeName).get(key);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+// Resolves to the stored key, which callers need for auto-increment stores
+async function workerDBPut(storeName, value, key) {
+    const db = await openWorkerDB();
+    
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const request = key === undefined ? store.put(value) : store.put(value, key);
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+async function workerDBGetAll(storeName) {
+    const db = await openWorkerDB();
+    
+    try {
+        return await new Promise((resolve, reject) => {
+            const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+async function workerDBDelete(storeName, key) {
+    const db = await openWorkerDB();
+    
+    try {
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, 'readwrite');
+            transaction.objectStore(storeName).delete(key);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+// Configuration sync
+async function loadPersistedConfig() {
+    try {
+        const overrides = await workerDBGet(SW_DB.STORES.CONFIG, 'current');
+        if (overrides) {
+            applyConfig(overrides);
+            console.log('[VelocityCache SW] Restored persisted configuration');
+        }
+        
+        userExperimentGroup = await workerDBGet(SW_DB.STORES.CONFIG, 'userExperimentGroup') || null;
+    } catch (error) {
+        console.error('[VelocityCache SW] Failed to load persisted configuration:', error);
+    }
+}
+
+async function handleConfigUpdate(config, messageId) {
+    try {
+        await configReady;
+        
+        const overrides = sanitizeConfigOverrides(config);
+        const previousInterval = SW_CONFIG.CLEANUP_INTERVAL;
+        const previousFallbacks = getOfflineFallbackUrls().join('\n');
+        
+        applyConfig(overrides);
+        await workerDBPut(SW_DB.STORES.CONFIG, overrides, 'current');
+        
+        if (cleanupTimer && SW_CONFIG.CLEANUP_INTERVAL !== previousInterval) {
+            startPeriodicCleanup();
+        }
+        
+        // Also retries fallbacks the install-time fetch missed or that were removed
+        const changed = getOfflineFallbackUrls().join('\n') !== previousFallbacks;
+        if (changed || (await getMissingOfflineFallbacks()).length > 0) {
+            await precacheOfflineFallbacks();
+        }
+        
+        broadcastResponse(messageId, true, 'Configuration updated');
+    } catch (error) {
+        console.error('[VelocityCache SW] Configuration update failed:', error);
+        broadcastResponse(messageId, false, error.message);
+    }
+}
+
+function isExperimentGroup(group) {
+    return group === 'holdout' || group === 'treatment';
+}
+
+// Holdout experiment groups, assigned by the page. Per-user groups are shared by
+// every tab, so they are kept for requests no page has claimed; per-session
+// groups only ever apply to the tab that reported them.
+async function handleExperimentGroup(clientId, group, unit) {
+    if (!isExperimentGroup(group)) return;
+    
+    if (clientId) clientGroups.set(clientId, group);
+    
+    if (unit === 'user' && group !== userExperimentGroup) {
+        userExperimentGroup = group;
+        try {
+            await workerDBPut(SW_DB.STORES.CONFIG, group, 'userExperimentGroup');
+        } catch (error) {
+            console.error('[VelocityCache SW] Failed to persist experiment group:', error);
+        }
+    }
+}
+
+// A page is about to navigate to url; its request carries no client we know
+function handleNavigationGroup(url, group) {
+    if (!isExperimentGroup(group) || typeof url !== 'string') return;
+    
+    const now = Date.now();
+    for (const [key, entry] of navigationGroups.entries()) {
+        if (entry.expires <= now) navigationGroups.delete(key);
+    }
+    
+    navigationGroups.set(getUrlKey(url), { group, expires: now + NAVIGATION_GROUP_TTL });
+}
+
+// The requesting page's group. A navigation takes the group its page announced
+// and hands it to the page it creates, whose subresources load before it can report.
+function getExperimentGroup(event) {
+    const reported = clientGroups.get(event.clientId) || clientGroups.get(event.resultingClientId);
+    if (reported) return reported;
+    
+    if (event.request.mode === 'navigate') {
+        const url = getUrlKey(event.request.url);
+        const announced = navigationGroups.get(url);
+        navigationGroups.delete(url);
+        
+        if (announced && announced.expires > Date.now()) {
+            if (event.resultingClientId) clientGroups.set(event.resultingClientId, announced.group);
+            return announced.group;
+        }
+    }
+    
+    return userExperimentGroup || 'treatment';
+}
+
+async function handleHoldoutRequest(request) {
+    const route = matchRoute(request);
+    const options = { route: getRouteKey(route), group: 'holdout', startTime: performance.now() };
+    
+    const response = await fetch(request);
+    recordNetworkSuccess(request.url, resolveCacheName(route.cacheName), options);
+    return response;
+}
+
+// Keep only known keys with sane values so a bad page config can't break the worker
+function sanitizeConfigOverrides(config) {
+    const overrides = {};
+    if (!config || typeof config !== 'object') return overrides;
+    
+    for (const key of CONFIGURABLE_KEYS) {
+        const value = config[key];
+        const defaults = DEFAULT_SW_CONFIG[key];
+        
+        if (typeof defaults === 'number') {
+            if (Number.isFinite(value) && value > 0) {
+                overrides[key] = value;
+            }
+        } else if (key === 'ROUTES') {
+            if (Array.isArray(value)) {
+                overrides[key] = value.filter(isValidRoute);
+            }
+        } else if (key === 'OFFLINE') {
+            if (value && typeof value === 'object') {
+                overrides[key] = sanitizeOfflineConfig(value);
+            }
+        } else if (key === 'OUTBOX') {
+            if (value && typeof value === 'object') {
+                overrides[key] = sanitizeOutboxConfig(value);
+            }
+        } else if (key === 'ALLOWED_ORIGINS') {
+            if (Array.isArray(value)) {
+                overrides[key] = sanitizeAllowedOrigins(value);
+            }
+        } else if (key === 'PREFETCH_RULES') {
+            if (value && typeof value === 'object') {
+                overrides[key] = sanitizePrefetchRules(value);
+            }
+        } else if (value && typeof value === 'object') {
+            const group = {};
+            for (const [name, entry] of Object.entries(value)) {
+                const valid = key === 'CACHE_NAMES'
+                    ? typeof entry === 'string' && entry.length > 0
+                    : Number.isFinite(entry) && entry > 0;
+                if (valid) group[name] = entry;
+            }
+            overrides[key] = group;
+        }
+    }
+    
+    return overrides;
+}
+
+// Rebuild SW_CONFIG from the defaults plus the given overrides
+function applyConfig(overrides) {
+    for (const key of CONFIGURABLE_KEYS) {
+        const defaults = DEFAULT_SW_CONFIG[key];
+        
+        if (typeof defaults === 'number' || Array.isArray(defaults)) {
+            SW_CONFIG[key] = overrides[key] ?? defaults;
+        } else {
+            SW_CONFIG[key] = { ...defaults, ...overrides[key] };
+        }
+    }
+}
+
+function sanitizeOfflineConfig(value) {
+    const offline = {};
+    const isPath = (entry) => typeof entry === 'string' && entry.length > 0;
+    
+    if (isPath(value.PAGE)) offline.PAGE = value.PAGE;
+    if (isPath(value.IMAGE)) offline.IMAGE = value.IMAGE;
+    if (Array.isArray(value.ROUTES)) {
+        offline.ROUTES = value.ROUTES.filter(route =>
+            route && isPath(route.page) &&
+            (route.pattern instanceof RegExp || isPath(route.pattern)));
+    }
+    
+    return offline;
+}
+
+function sanitizeOutboxConfig(value) {
+    const outbox = {};
+    
+    if (Array.isArray(value.ROUTES)) {
+        outbox.ROUTES = value.ROUTES.filter(match =>
+            match && (match.pattern instanceof RegExp || (typeof match.pattern === 'string' && match.pattern.length > 0)));
+    }
+    if (Number.isInteger(value.MAX_RETRIES) && value.MAX_RETRIES > 0) outbox.MAX_RETRIES = value.MAX_RETRIES;
+    if (Number.isFinite(value.MAX_AGE) && value.MAX_AGE > 0) outbox.MAX_AGE = value.MAX_AGE;
+    
+    return outbox;
+}
+
+function sanitizeAllowedOrigins(value) {
+    const origins = [];
+    
+    for (const entry of value) {
+        const { origin, strategy, cacheName, maxAge } = typeof entry === 'string' ? { origin: entry } : entry || {};
+        
+        let parsed;
+        try {
+            parsed = new URL(origin);
+        } catch {
+            continue;
+        }
+        if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') continue;
+        
+        const allowed = { origin: parsed.origin };
+        if (STRATEGIES.includes(strategy)) allowed.strategy = strategy;
+        if (Object.prototype.hasOwnProperty.call(DEFAULT_SW_CONFIG.CACHE_NAMES, cacheName)) allowed.cacheName = cacheName;
+        if (Number.isFinite(maxAge) && maxAge > 0) allowed.maxAge = maxAge;
+        origins.push(allowed);
+    }
+    
+    return origins;
+}
+
+function getAllowedOrigin(origin) {
+    return SW_CONFIG.ALLOWED_ORIGINS.find(entry => entry.origin === origin) || null;
+}
+
+function sanitizePrefetchRules(value) {
+    const rules = {};
+    const isRule = (rule) => rule instanceof RegExp || (typeof rule === 'string' && rule.length > 0);
+    
+    if (Array.isArray(value.INCLUDE)) rules.INCLUDE = value.INCLUDE.filter(isRule);
+    if (Array.isArray(value.EXCLUDE)) rules.EXCLUDE = value.EXCLUDE.filter(isRule);
+    if (typeof value.DEFAULT_EXCLUDES === 'boolean') rules.DEFAULT_EXCLUDES = value.DEFAULT_EXCLUDES;
+    
+    return rules;
+}
+
+function isValidRoute(route) {
+    if (!route || typeof route !== 'object') return false;
+    if (!STRATEGIES.includes(route.strategy)) return false;
+    
+    const pattern = route.match?.pattern;
+    if (pattern !== undefined && !(pattern instanceof RegExp) && typeof pattern !== 'string') {
+        return false;
+    }
+    
+    return true;
+}
+
+// Route table
+function matchRoute(request) {
+    const route = findRoute(request);
+    
+    // A link's override replaces the strategy or cache of whatever route matched.
+    // Navigations only take its cache, where the prefetched copy is, so a
+    // cache-first hint can't pin a stale page.
+    const override = request.method === 'GET' && linkRoutes.get(getUrlKey(request.url));
+    if (override) {
+        return {
+            ...route,
+            strategy: request.mode !== 'navigate' && override.strategy || route.strategy,
+            cacheName: override.cacheName || route.cacheName
+        };
+    }
+    
+    return route;
+}
+
+// Custom routes cover other origins only when they name them in match.origin.
+// An allowlisted origin's default strategy comes before the built-in table.
+function findRoute(request) {
+    const origin = new URL(request.url).origin;
+    if (origin === self.location.origin) {
+        return [...SW_CONFIG.ROUTES, ...DEFAULT_ROUTES].find(route => routeMatches(route.match || {}, request)) || FALLBACK_ROUTE;
+    }
+    
+    const custom = SW_CONFIG.ROUTES.find(route => route.match?.origin !== undefined && routeMatches(route.match, request));
+    if (custom) return custom;
+    
+    const allowed = getAllowedOrigin(origin);
+    if (allowed?.strategy) {
+        return {
+            type: 'origin',
+            match: { origin },
+            strategy: allowed.strategy,
+            cacheName: allowed.cacheName || 'DYNAMIC',
+            maxAge: allowed.maxAge
+        };
+    }
+    
+    return DEFAULT_ROUTES.find(route => routeMatches(route.match || {}, request)) || FALLBACK_ROUTE;
+}
+
+// URLs without their fragment, which never reaches the server
+function getUrlKey(url) {
+    const parsed = new URL(url, self.location.origin);
+    parsed.hash = '';
+    return parsed.href;
+}
+
+// Remember a link's strategy or cache for its URL. Only known strategies and
+// CACHE_NAMES keys are accepted, so pages can't create unmanaged caches.
+function setLinkRoute(url, { strategy, cacheName } = {}) {
+    const override = {};
+    if (STRATEGIES.includes(strategy)) override.strategy = strategy;
+    if (cacheName && Object.prototype.hasOwnProperty.call(SW_CONFIG.CACHE_NAMES, cacheName)) {
+        override.cacheName = cacheName;
+    }
+    if (!override.strategy && !override.cacheName) return false;
+    
+    const key = getUrlKey(url);
+    linkRoutes.delete(key);
+    linkRoutes.set(key, { ...override, timestamp: Date.now() });
+    
+    // Map keeps insertion order, so the first key is the oldest override
+    if (linkRoutes.size > MAX_LINK_ROUTES) {
+        linkRoutes.delete(linkRoutes.keys().next().value);
+    }
+    
+    return true;
+}
+
+function routeMatches(match, request) {
     const url = new URL(request.url);
-    const requestType = classifyRequest(request);
+    
+    if (match.origin !== undefined) {
+        if (![].concat(match.origin).includes(url.origin)) return false;
+    }
+    
+    if (match.pattern !== undefined) {
+        try {
+            const pattern = match.pattern instanceof RegExp ? match.pattern : new RegExp(match.pattern);
+            if (!pattern.test(url.pathname)) return false;
+        } catch (error) {
+            console.error('[VelocityCache SW] Invalid route pattern:', match.pattern);
+            return false;
+        }
+    }
+    
+    if (match.method) {
+        const methods = [].concat(match.method).map(method => method.toUpperCase());
+        if (!methods.includes(request.method)) return false;
+    }
+    
+    if (match.destination !== undefined) {
+        if (![].concat(match.destination).includes(request.destination)) return false;
+    }
+    
+    if (match.header) {
+        const value = request.headers.get(match.header.name);
+        if (value === null) return false;
+        if (match.header.includes !== undefined && !value.includes(match.header.includes)) return false;
+        if (match.header.equals !== undefined && value !== match.header.equals) return false;
+    }
+    
+    return true;
+}
+
+// Metrics key for a route: its type and strategy, e.g. 'html:network-first'
+function getRouteKey(route) {
+    return `${route.type || 'custom'}:${route.strategy}`;
+}
+
+// Route cache names may be a CACHE_NAMES key ('STATIC') or a literal cache name
+function resolveCacheName(cacheName) {
+    return SW_CONFIG.CACHE_NAMES[cacheName] || cacheName || SW_CONFIG.CACHE_NAMES.DYNAMIC;
+}
+
+// Every cache the worker owns: the named caches plus any custom route caches
+function getActiveCacheNames() {
+    const names = new Set(Object.values(SW_CONFIG.CACHE_NAMES));
+    
+    for (const route of SW_CONFIG.ROUTES) {
+        if (route.cacheName && route.strategy !== 'network-only') {
+            names.add(resolveCacheName(route.cacheName));
+        }
+    }
+    
+    return Array.from(names);
+}
+
+// Resolve the entry limit for a cache by its configured name
+function getMaxCacheSize(cacheName) {
+    const cacheKey = Object.keys(SW_CONFIG.CACHE_NAMES)
+        .find(key => SW_CONFIG.CACHE_NAMES[key] === cacheName);
+    if (SW_CONFIG.MAX_CACHE_SIZES[cacheKey]) {
+        return SW_CONFIG.MAX_CACHE_SIZES[cacheKey];
+    }
+    
+    // Custom route caches carry their own limit
+    const route = SW_CONFIG.ROUTES.find(entry =>
+        entry.maxEntries && resolveCacheName(entry.cacheName) === cacheName);
+    return route?.maxEntries || 50;
+}
+
+function getMaxCacheBytes(cacheName) {
+    const cacheKey = Object.keys(SW_CONFIG.CACHE_NAMES)
+        .find(key => SW_CONFIG.CACHE_NAMES[key] === cacheName);
+    
+    return SW_CONFIG.MAX_CACHE_BYTES[cacheKey] || SW_CONFIG.MAX_CACHE_BYTES.DYNAMIC;
+}
+
+// Precache manifest
+function getPrecacheManifest() {
+    const manifest = self.__VELOCITY_PRECACHE_MANIFEST;
+    if (!Array.isArray(manifest)) return [];
+    
+    return manifest
+        .map(entry => typeof entry === 'string' ? { url: entry, revision: null } : entry)
+        .filter(entry => entry && typeof entry.url === 'string')
+        .map(entry => ({
+            url: new URL(entry.url, self.location.origin).href,
+            revision: entry.revision ?? null,
+            // CACHE_NAMES key or literal name, set per category by velocity-manifest
+            cacheName: resolveCacheName(entry.cacheName || 'PRECACHE')
+        }))
+        .filter(entry => isValidUrl(entry.url));
+}
+
+// One staging cache per manifest, so a retried install of the same build
+// reuses it and different builds never share one
+function getPrecacheStagingName(manifest) {
+    let hash = 0;
+    for (const { url, revision } of manifest) {
+        const key = `${url} ${revision}\n`;
+        for (let i = 0; i < key.length; i++) {
+            hash = (hash * 31 + key.charCodeAt(i)) | 0;
+        }
+    }
+    return PRECACHE_STAGING_PREFIX + (hash >>> 0).toString(36);
+}
+
+// Fetch new or changed manifest entries into the staging cache. The caches
+// the current worker serves from are left alone until we activate; any
+// failure rejects and discards what was staged, so a broken deploy fails the
+// install and the current worker keeps serving.
+async function precacheManifestEntries() {
+    await configReady;
+    
+    const manifest = getPrecacheManifest();
+    if (manifest.length === 0) return;
+    
+    const stagingName = getPrecacheStagingName(manifest);
+    await caches.delete(stagingName); // Leftovers of an earlier attempt
+    const staging = await caches.open(stagingName);
     
     try {
-        switch (requestType) {
-            case 'static':
-                return await cacheFirstStrategy(request, SW_CONFIG.CACHE_NAMES.STATIC);
+        await Promise.all(manifest.map(entry => stagePrecacheEntry(staging, entry)));
+    } catch (error) {
+        await caches.delete(stagingName);
+        throw error;
+    }
+    
+    const staged = (await staging.keys()).length;
+    console.log(`[VelocityCache SW] Staged ${staged} of ${manifest.length} manifest entries`);
+}
+
+async function stagePrecacheEntry(staging, { url, revision, cacheName }) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(url);
+    if (cached && cached.headers.get('X-VelocityCache-Revision') === String(revision)) {
+        return; // Unchanged since the last install
+    }
+    
+    await staging.put(url, await fetchPrecacheEntry(url, revision));
+}
+
+// A manifest entry fresh from the network, tagged with its revision
+async function fetchPrecacheEntry(url, revision) {
+    const request = new Request(url, { cache: 'reload', credentials: 'same-origin' });
+    const response = await fetchWithTimeout(request, SW_CONFIG.TIMEOUTS.PREFETCH);
+    if (!response.ok) {
+        throw new Error(`Precache of ${url} failed with HTTP ${response.status}`);
+    }
+    
+    const headers = new Headers(response.headers);
+    headers.set('X-VelocityCache-Timestamp', Date.now().toString());
+    headers.set('X-VelocityCache-Version', SW_CONFIG.VERSION);
+    headers.set('X-VelocityCache-Revision', String(revision));
+    
+    // Rebuilding the response also drops the redirected flag, which
+    // browsers refuse for navigation responses
+    const body = await response.blob();
+    headers.set('X-VelocityCache-Size', body.size.toString());
+    
+    return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+// Move staged entries into the caches they are served from, now that the
+// previous worker no longer serves from them, and drop every staging cache
+async function activatePrecacheEntries() {
+    try {
+        await configReady;
+        
+        const manifest = getPrecacheManifest();
+        const stagingName = getPrecacheStagingName(manifest);
+        const cacheNames = await caches.keys();
+        
+        if (manifest.length > 0 && cacheNames.includes(stagingName)) {
+            const staging = await caches.open(stagingName);
+            const keys = await staging.keys();
             
-            case 'html':
-                return await networkFirstStrategy(request, SW_CONFIG.CACHE_NAMES.DYNAMIC);
+            for (const request of keys) {
+                const entry = manifest.find(item => item.url === request.url);
+                if (!entry) continue;
+                
+                const cache = await caches.open(entry.cacheName);
+                await cache.put(request, await staging.match(request));
+                cacheByteTotals.delete(entry.cacheName);
+            }
             
-            case 'api':
-                return await networkFirstStrategy(request, SW_CONFIG.CACHE_NAMES.API, true);
+            console.log(`[VelocityCache SW] Precached ${keys.length} of ${manifest.length} manifest entries`);
+            broadcastMessage({ type: 'PRECACHE_UPDATED', updated: keys.length, total: manifest.length, timestamp: Date.now() });
+        }
+        
+        // Including those of installs that failed or never activated
+        await Promise.all(cacheNames
+            .filter(cacheName => cacheName.startsWith(PRECACHE_STAGING_PREFIX))
+            .map(cacheName => caches.delete(cacheName)));
+    } catch (error) {
+        console.error('[VelocityCache SW] Activating precache entries failed:', error);
+    }
+}
+
+// Precached responses carry the revision they were fetched for
+function isPrecachedResponse(response) {
+    return !!response && response.headers.has('X-VelocityCache-Revision');
+}
+
+// Drop precached entries the current manifest no longer lists (or now puts
+// in a different cache), once we control the pages
+async function removeStalePrecacheEntries() {
+    try {
+        await configReady;
+        
+        const listed = new Set(getPrecacheManifest().map(entry => `${entry.cacheName} ${entry.url}`));
+        let removed = 0;
+        
+        for (const cacheName of getActiveCacheNames()) {
+            const cache = await caches.open(cacheName);
+            const keys = await cache.keys();
+            
+            for (const request of keys) {
+                if (listed.has(`${cacheName} ${request.url}`)) continue;
+                
+                const response = await cache.match(request);
+                if (isPrecachedResponse(response) || cacheName === SW_CONFIG.CACHE_NAMES.PRECACHE) {
+                    await cache.delete(request);
+                    cacheByteTotals.delete(cacheName);
+                    removed++;
+                }
+            }
+        }
+        
+        if (removed > 0) {
+            console.log(`[VelocityCache SW] Removed ${removed} stale precache entries`);
+        }
+    } catch (error) {
+        console.error('[VelocityCache SW] Precache cleanup failed:', error);
+    }
+}
+
+// Serve manifest entries straight from their cache, mapping "/dir/" to "/dir/index.html"
+async function matchPrecache(request, group = 'treatment') {
+    if (!self.__VELOCITY_PRECACHE_MANIFEST) return null;
+    
+    const startTime = performance.now();
+    
+    try {
+        await configReady;
+        
+        const url = new URL(request.url);
+        url.hash = '';
+        
+        const candidates = [url.href];
+        if (url.pathname.endsWith('/')) {
+            url.pathname += 'index.html';
+            candidates.push(url.href);
+        }
+        
+        const manifest = getPrecacheManifest();
+        for (const candidate of candidates) {
+            const entry = manifest.find(item => item.url === candidate);
+            if (!entry) continue;
             
-            case 'prefetch':
-                return await staleWhileRevalidateStrategy(request, SW_CONFIG.CACHE_NAMES.PREFETCH);
+            const cache = await caches.open(entry.cacheName);
+            const response = await cache.match(candidate);
+            if (response) {
+                recordCacheHit(request.url, entry.cacheName, { route: 'precache:cache-only', group, startTime }, response);
+                return response;
+            }
+        }
+        
+        return null;
+    } catch (error) {
+        console.error('[VelocityCache SW] Precache lookup failed:', error);
+        return null;
+    }
+}
+
+// Caches that size-based eviction may trim
+function getEvictableCacheNames() {
+    const protectedNames = NON_EVICTABLE_CACHES.map(key => SW_CONFIG.CACHE_NAMES[key]);
+    return getActiveCacheNames().filter(cacheName => !protectedNames.includes(cacheName));
+}
+
+// Smart fetch strategy selector
+async function handleFetchWithStrategy(request, group = 'treatment') {
+    await configReady;
+    
+    const route = matchRoute(request);
+    const cacheName = resolveCacheName(route.cacheName);
+    const options = {
+        maxAge: route.maxAge,
+        maxEntries: route.maxEntries,
+        networkTimeout: route.networkTimeout,
+        // For metrics
+        route: getRouteKey(route),
+        group,
+        startTime: performance.now()
+    };
+    
+    try {
+        switch (route.strategy) {
+            case 'cache-first':
+                return await cacheFirstStrategy(request, cacheName, options);
+            
+            case 'stale-while-revalidate':
+                return await staleWhileRevalidateStrategy(request, cacheName, options);
             
-            case 'image':
-            case 'media':
-                return await cacheFirstStrategy(request, SW_CONFIG.CACHE_NAMES.STATIC);
+            case 'network-only':
+                return await fetchWithTimeout(request, options.networkTimeout || SW_CONFIG.TIMEOUTS.FETCH);
             
+            case 'network-first':
             default:
-                return await networkFirstStrategy(request, SW_CONFIG.CACHE_NAMES.DYNAMIC);
+                return await networkFirstStrategy(request, cacheName, route.type === 'api', options);
         }
     } catch (error) {
         console.error('[VelocityCache SW] Fetch strategy failed:', error);
@@ -194,30 +1205,322 @@ async function handleFetchWithStrategy(request) {
     }
 }
 
+// Mark documents served from our caches with Server-Timing, which the page
+// reads from its navigation entry to attribute Web Vitals. Copies refreshed by
+// a 304 or fetched anew went to the network and stay untagged.
+function tagCachedNavigation(request, response) {
+    if (request.mode !== 'navigate' || !cacheServedResponses.has(response)) {
+        return response;
+    }
+    
+    const headers = new Headers(response.headers);
+    headers.append('Server-Timing', 'velocity;desc="cache"');
+    
+    return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+// Outbox: mutations that fail for lack of network are stored and replayed later
+function matchOutboxRoute(request) {
+    return SW_CONFIG.OUTBOX.ROUTES.some(match =>
+        routeMatches({ method: OUTBOX_METHODS, ...match }, request));
+}
+
+async function handleOutboxRequest(request) {
+    // Keep a copy, fetching consumes the body
+    const pending = request.clone();
+    
+    try {
+        return await fetch(request);
+    } catch (error) {
+        // The page cancelled the request, it must not be sent later
+        if (error?.name === 'AbortError' || request.signal?.aborted) {
+            throw error;
+        }
+        
+        // Only network failures are queued; the server never saw the request.
+        // Error responses are returned as-is, replaying them could apply twice
+        const entry = await serializeRequest(pending);
+        entry.id = await workerDBPut(SW_DB.STORES.OUTBOX, entry);
+        
+        console.log(`[VelocityCache SW] Queued ${entry.method} ${entry.url} for replay`);
+        broadcastMessage({ type: 'OUTBOX_QUEUED', id: entry.id, url: entry.url, method: entry.method });
+        await registerOutboxSync();
+        
+        if (request.mode === 'navigate') {
+            return createOfflineResponse(request);
+        }
+        
+        return new Response(JSON.stringify({ queued: true, id: entry.id }), {
+            status: 202,
+            statusText: 'Accepted',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-VelocityCache-Queued': 'true'
+            }
+        });
+    }
+}
+
+async function serializeRequest(request) {
+    const body = await request.arrayBuffer();
+    
+    return {
+        url: request.url,
+        method: request.method,
+        headers: Array.from(request.headers.entries()),
+        body: body.byteLength > 0 ? body : null,
+        credentials: request.credentials,
+        timestamp: Date.now(),
+        attempts: 0
+    };
+}
+
+function deserializeRequest(entry) {
+    return new Request(entry.url, {
+        method: entry.method,
+        headers: entry.headers,
+        body: entry.body,
+        credentials: entry.credentials
+    });
+}
+
+async function registerOutboxSync() {
+    if (!('sync' in self.registration)) return;
+    
+    try {
+        await self.registration.sync.register(OUTBOX_SYNC_TAG);
+    } catch (error) {
+        // Replay then falls back to the online event
+        console.error('[VelocityCache SW] Background Sync registration failed:', error);
+    }
+}
+
+function replayOutbox() {
+    if (!outboxReplay) {
+        outboxReplay = replayOutboxEntries().finally(() => {
+            outboxReplay = null;
+        });
+    }
+    return outboxReplay;
+}
+
+// Replay in arrival order and stop at the first retryable failure, so later
+// requests never overtake earlier ones. Rejects while entries remain.
+async function replayOutboxEntries() {
+    await configReady;
+    
+    const entries = await workerDBGetAll(SW_DB.STORES.OUTBOX);
+    
+    for (const entry of entries) {
+        const { id, url, method } = entry;
+        
+        if (Date.now() - entry.timestamp > SW_CONFIG.OUTBOX.MAX_AGE) {
+            await workerDBDelete(SW_DB.STORES.OUTBOX, id);
+            broadcastMessage({ type: 'OUTBOX_FAILED', id, url, method, reason: 'expired' });
+            continue;
+        }
+        
+        let response = null;
+        try {
+            response = await fetchWithTimeout(deserializeRequest(entry), SW_CONFIG.TIMEOUTS.BACKGROUND_SYNC, 0);
+        } catch (error) {
+            console.log(`[VelocityCache SW] Replay of ${method} ${url} failed:`, error.message);
+        }
+        
+        // Success, or a client error that no retry will fix
+        if (response && response.status < 500) {
+            await workerDBDelete(SW_DB.STORES.OUTBOX, id);
+            broadcastMessage(response.ok
+                ? { type: 'OUTBOX_REPLAYED', id, url, method, status: response.status }
+                : { type: 'OUTBOX_FAILED', id, url, method, status: response.status, reason: 'rejected' });
+            continue;
+        }
+        
+        entry.attempts++;
+        if (entry.attempts >= SW_CONFIG.OUTBOX.MAX_RETRIES) {
+            await workerDBDelete(SW_DB.STORES.OUTBOX, id);
+            broadcastMessage({ type: 'OUTBOX_FAILED', id, url, method, status: response?.status, reason: 'max-retries' });
+            continue;
+        }
+        
+        await workerDBPut(SW_DB.STORES.OUTBOX, entry);
+        throw new Error(`Outbox replay stopped at ${method} ${url}`);
+    }
+}
+
+// Offline fallbacks
+function getOfflineFallbackUrls() {
+    const { PAGE, IMAGE, ROUTES } = SW_CONFIG.OFFLINE;
+    const paths = [PAGE, IMAGE, ...ROUTES.map(route => route.page)].filter(Boolean);
+    
+    return Array.from(new Set(paths.map(path => new URL(path, self.location.origin).href)));
+}
+
+// Fetch configured fallbacks into the offline cache and drop ones no longer listed
+async function precacheOfflineFallbacks() {
+    try {
+        await configReady;
+        
+        const urls = getOfflineFallbackUrls();
+        const cache = await caches.open(SW_CONFIG.CACHE_NAMES.OFFLINE);
+        
+        await Promise.all(urls.map(async (url) => {
+            try {
+                const response = await fetchWithTimeout(new Request(url, { credentials: 'same-origin' }), SW_CONFIG.TIMEOUTS.FETCH);
+                if (response.ok) {
+                    await cache.put(url, response);
+                } else {
+                    console.error(`[VelocityCache SW] Offline fallback ${url} returned HTTP ${response.status}`);
+                }
+            } catch (error) {
+                console.error(`[VelocityCache SW] Failed to precache offline fallback ${url}:`, error);
+            }
+        }));
+        
+        const keys = await cache.keys();
+        await Promise.all(keys
+            .filter(request => !urls.includes(request.url))
+            .map(request => cache.delete(request)));
+        cacheByteTotals.delete(SW_CONFIG.CACHE_NAMES.OFFLINE);
+        
+        if (urls.length > 0) {
+            console.log(`[VelocityCache SW] Precached ${urls.length} offline fallbacks`);
+        }
+    } catch (error) {
+        console.error('[VelocityCache SW] Offline fallback precache failed:', error);
+    }
+}
+
+// Configured fallbacks the offline cache doesn't hold
+async function getMissingOfflineFallbacks() {
+    const urls = getOfflineFallbackUrls();
+    if (urls.length === 0) return [];
+    
+    const cache = await caches.open(SW_CONFIG.CACHE_NAMES.OFFLINE);
+    const cached = await Promise.all(urls.map(url => cache.match(url)));
+    return urls.filter((url, index) => !cached[index]);
+}
+
+function getOfflinePageFor(pathname) {
+    const route = SW_CONFIG.OFFLINE.ROUTES.find(entry => {
+        try {
+            const pattern = entry.pattern instanceof RegExp ? entry.pattern : new RegExp(entry.pattern);
+            return pattern.test(pathname);
+        } catch (error) {
+            return false;
+        }
+    });
+    
+    return route ? route.page : SW_CONFIG.OFFLINE.PAGE;
+}
+
+async function matchOfflineFallback(path) {
+    if (!path) return null;
+    
+    try {
+        const cache = await caches.open(SW_CONFIG.CACHE_NAMES.OFFLINE);
+        return await cache.match(new URL(path, self.location.origin).href) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Cached HTML pages across our caches, newest first
+async function getOfflinePages() {
+    const pages = new Map();
+    
+    for (const cacheName of getActiveCacheNames()) {
+        if (cacheName === SW_CONFIG.CACHE_NAMES.OFFLINE) continue;
+        
+        const cache = await caches.open(cacheName);
+        const keys = await cache.keys();
+        
+        for (const request of keys) {
+            const response = await cache.match(request);
+            if (!response || !(response.headers.get('Content-Type') || '').includes('text/html')) continue;
+            
+            const cachedAt = parseInt(response.headers.get('X-VelocityCache-Timestamp')) || 0;
+            if (!pages.has(request.url) || pages.get(request.url).cachedAt < cachedAt) {
+                pages.set(request.url, { url: request.url, cachedAt });
+            }
+        }
+    }
+    
+    return Array.from(pages.values()).sort((a, b) => b.cachedAt - a.cachedAt);
+}
+
+async function createOfflinePagesResponse() {
+    try {
+        await configReady;
+        
+        return new Response(JSON.stringify({ pages: await getOfflinePages() }), {
+            headers: {
+                'Content-Type': 'application/json',
+                'Cache-Control': 'no-cache'
+            }
+        });
+    } catch (error) {
+        console.error('[VelocityCache SW] Offline page listing failed:', error);
+        return new Response(JSON.stringify({ pages: [] }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
+
 // Cache First Strategy - optimized for static assets
-async function cacheFirstStrategy(request, cacheName) {
+async function cacheFirstStrategy(request, cacheName, options = {}) {
     const cache = await caches.open(cacheName);
-    const cachedResponse = await cache.match(request);
+    const cachedResponse = await matchCachedResponse(cache, request);
     
     if (cachedResponse) {
-        // Update cache in background if resource is stale
-        if (isResourceStale(cachedResponse)) {
-            updateCacheInBackground(request, cache);
+        const freshness = getFreshness(cachedResponse, options.maxAge);
+        
+        if (freshness.fresh) {
+            recordCacheHit(request.url, cacheName, options, cachedResponse);
+            return cachedResponse;
         }
         
-        recordCacheHit(request.url);
-        return cachedResponse;
+        // Within stale-while-revalidate: serve now, revalidate in background.
+        // A 304 reads the stored body again, so revalidation gets its own copy.
+        if (freshness.staleWhileRevalidate) {
+            updateCacheInBackground(request, cache, cacheName, cachedResponse.clone(), options);
+            recordCacheHit(request.url, cacheName, options, cachedResponse);
+            return cachedResponse;
+        }
+        
+        // Otherwise revalidate before answering; the wait was on the network
+        try {
+            const response = await revalidateResponse(request, cache, cacheName, cachedResponse.clone(), options);
+            if (response.ok) {
+                recordNetworkSuccess(request.url, cacheName, options);
+                return response;
+            }
+            if (freshness.staleIfError) {
+                recordCacheFallback(request.url, cacheName, options, cachedResponse);
+                return cachedResponse;
+            }
+            return response;
+        } catch (error) {
+            // Disconnected, a stale copy beats no copy
+            recordCacheFallback(request.url, cacheName, options, cachedResponse);
+            return cachedResponse;
+        }
     }
     
     // Fetch and cache if not found
     try {
-        const networkResponse = await fetchWithTimeout(request, SW_CONFIG.TIMEOUTS.FETCH);
+        const networkResponse = await fetchWithTimeout(request, options.networkTimeout || SW_CONFIG.TIMEOUTS.FETCH);
         
-        if (networkResponse && networkResponse.status === 200) {
-            await safeCachePut(cache, request, networkResponse.clone(), cacheName);
+        if (isCacheableResponse(networkResponse)) {
+            await safeCachePut(cache, request, networkResponse.clone(), cacheName, options.maxEntries);
         }
         
-        recordCacheMiss(request.url);
+        recordCacheMiss(request.url, cacheName, options);
         return networkResponse;
         
     } catch (error) {
@@ -227,27 +1530,38 @@ async function cacheFirstStrategy(request, cacheName) {
 }
 
 // Network First Strategy - optimized for dynamic content
-async function networkFirstStrategy(request, cacheName, isAPI = false) {
+async function networkFirstStrategy(request, cacheName, isAPI = false, options = {}) {
     const cache = await caches.open(cacheName);
-    const timeout = isAPI ? SW_CONFIG.STRATEGY_TIMEOUTS.NETWORK_FIRST / 2 : SW_CONFIG.STRATEGY_TIMEOUTS.NETWORK_FIRST;
+    const timeout = options.networkTimeout ||
+        (isAPI ? SW_CONFIG.STRATEGY_TIMEOUTS.NETWORK_FIRST / 2 : SW_CONFIG.STRATEGY_TIMEOUTS.NETWORK_FIRST);
+    
+    const cachedResponse = await matchCachedResponse(cache, request);
     
     try {
-        const networkResponse = await fetchWithTimeout(request, timeout);
+        // Conditional when we hold a copy, so unchanged bodies are not re-downloaded
+        const networkResponse = await fetchWithTimeout(
+            cachedResponse ? createConditionalRequest(request, cachedResponse) : request,
+            timeout
+        );
+        
+        if (networkResponse.status === 304 && cachedResponse) {
+            recordNetworkSuccess(request.url, cacheName, options);
+            return await refreshCachedResponse(cache, request, cachedResponse.clone(), networkResponse);
+        }
         
-        if (networkResponse && networkResponse.status === 200) {
+        if (isSuccessfulResponse(networkResponse)) {
             // Cache successful responses
             if (shouldCacheResponse(request, networkResponse, isAPI)) {
-                await safeCachePut(cache, request, networkResponse.clone(), cacheName);
+                await safeCachePut(cache, request, networkResponse.clone(), cacheName, options.maxEntries);
             }
             
-            recordNetworkSuccess(request.url);
+            recordNetworkSuccess(request.url, cacheName, options);
             return networkResponse;
         }
         
-        // If network response is not successful, try cache
-        const cachedResponse = await cache.match(request);
-        if (cachedResponse) {
-            recordCacheFallback(request.url);
+        // Error responses fall back to a copy that is fresh or allowed by stale-if-error
+        if (cachedResponse && getFreshness(cachedResponse, options.maxAge).staleIfError) {
+            recordCacheFallback(request.url, cacheName, options, cachedResponse);
             return cachedResponse;
         }
         
@@ -255,9 +1569,8 @@ async function networkFirstStrategy(request, cacheName, isAPI = false) {
         
     } catch (error) {
         // Network failed, try cache
-        const cachedResponse = await cache.match(request);
         if (cachedResponse) {
-            recordCacheFallback(request.url);
+            recordCacheFallback(request.url, cacheName, options, cachedResponse);
             return cachedResponse;
         }
         
@@ -267,53 +1580,96 @@ async function networkFirstStrategy(request, cacheName, isAPI = false) {
 }
 
 // Stale While Revalidate Strategy - best for prefetched content
-async function staleWhileRevalidateStrategy(request, cacheName) {
+async function staleWhileRevalidateStrategy(request, cacheName, options = {}) {
     const cache = await caches.open(cacheName);
-    const cachedResponse = await cache.match(request);
+    const cachedResponse = await matchCachedResponse(cache, request);
     
-    // Always try to fetch in background
-    const networkPromise = fetchWithTimeout(request, SW_CONFIG.TIMEOUTS.FETCH)
-        .then(response => {
-            if (response && response.status === 200) {
-                safeCachePut(cache, request, response.clone(), cacheName);
-            }
-            return response;
-        })
-        .catch(error => {
-            console.log('[VelocityCache SW] Background revalidation failed:', error.message);
-            return null;
-        });
-    
-    // Return cached version immediately if available
+    // Return cached version immediately if available, revalidating it once stale
     if (cachedResponse) {
-        recordCacheHit(request.url);
+        if (!getFreshness(cachedResponse, options.maxAge).fresh) {
+            updateCacheInBackground(request, cache, cacheName, cachedResponse.clone(), options);
+        }
+        
+        recordCacheHit(request.url, cacheName, options, cachedResponse);
         return cachedResponse;
     }
     
     // If no cache, wait for network
     try {
-        const networkResponse = await networkPromise;
-        recordNetworkSuccess(request.url);
-        return networkResponse || createOfflineResponse(request);
+        const networkResponse = await fetchWithTimeout(request, options.networkTimeout || SW_CONFIG.TIMEOUTS.FETCH);
+        if (isCacheableResponse(networkResponse)) {
+            safeCachePut(cache, request, networkResponse.clone(), cacheName, options.maxEntries);
+        }
+        recordNetworkSuccess(request.url, cacheName, options);
+        return networkResponse;
     } catch (error) {
+        console.log('[VelocityCache SW] Stale-while-revalidate fetch failed:', error.message);
         return createOfflineResponse(request);
     }
 }
 
+// Opaque copies live in the OPAQUE cache and only answer no-cors requests,
+// anything else must see the real response
+async function matchCachedResponse(cache, request) {
+    const response = await cache.match(request);
+    if (response && response.type !== 'opaque') return response;
+    if (request.mode !== 'no-cors' || new URL(request.url).origin === self.location.origin) return undefined;
+    
+    const opaqueCache = await caches.open(SW_CONFIG.CACHE_NAMES.OPAQUE);
+    const opaque = await opaqueCache.match(request);
+    if (opaque) {
+        opaqueStoredAt.set(opaque, await getOpaqueTimestamp(request.url));
+    }
+    return opaque;
+}
+
+async function getOpaqueTimestamp(url) {
+    const timestamps = await caches.open(OPAQUE_TIMESTAMP_CACHE);
+    const entry = await timestamps.match(url);
+    return parseInt(entry?.headers.get('X-VelocityCache-Timestamp'), 10) || 0;
+}
+
+async function setOpaqueTimestamp(url, timestamp) {
+    const timestamps = await caches.open(OPAQUE_TIMESTAMP_CACHE);
+    if (timestamp === null) {
+        await timestamps.delete(url);
+    } else {
+        await timestamps.put(url, new Response(null, {
+            headers: { 'X-VelocityCache-Timestamp': timestamp.toString() }
+        }));
+    }
+}
+
+// 200s, plus opaque responses from allowlisted origins, whose status is hidden
+function isSuccessfulResponse(response) {
+    return Boolean(response) && (response.status === 200 || response.type === 'opaque');
+}
+
+// Every strategy stores through this, so no-store is honoured everywhere
+function isCacheableResponse(response) {
+    return isSuccessfulResponse(response) &&
+        !parseCacheControl(response.headers.get('Cache-Control'))['no-store'];
+}
+
 // Enhanced fetch with timeout and retry logic
-async function fetchWithTimeout(request, timeout = SW_CONFIG.TIMEOUTS.FETCH, retries = 1) {
+async function fetchWithTimeout(request, timeout = SW_CONFIG.TIMEOUTS.FETCH, retries = 1, signal) {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeout);
+    signal?.addEventListener('abort', () => controller.abort(), { once: true });
+    
+    // A custom header would force a CORS preflight on other origins, and
+    // their requests keep the credentials mode the page asked for
+    const sameOrigin = new URL(request.url).origin === self.location.origin;
+    const headers = Object.fromEntries(request.headers.entries());
+    if (sameOrigin) {
+        headers['X-Requested-With'] = 'VelocityCache-SW';
+    }
     
     try {
         const response = await fetch(request, {
             signal: controller.signal,
-            credentials: 'same-origin',
-            headers: {
-                ...Object.fromEntries(request.headers.entries()),
-                'Cache-Control': 'no-cache',
-                'X-Requested-With': 'VelocityCache-SW'
-            }
+            credentials: sameOrigin ? 'same-origin' : request.credentials,
+            headers
         });
         
         clearTimeout(timeoutId);
@@ -322,10 +1678,11 @@ async function fetchWithTimeout(request, timeout = SW_CONFIG.TIMEOUTS.FETCH, ret
     } catch (error) {
         clearTimeout(timeoutId);
         
-        if (retries > 0 && error.name !== 'AbortError') {
+        // No-cors failures are opaque too, there is nothing to tell a retry would help
+        if (retries > 0 && error.name !== 'AbortError' && request.mode !== 'no-cors') {
             console.log(`[VelocityCache SW] Retrying fetch for ${request.url}`);
             await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1s before retry
-            return fetchWithTimeout(request, timeout, retries - 1);
+            return fetchWithTimeout(request, timeout, retries - 1, signal);
         }
         
         throw error;
@@ -333,34 +1690,61 @@ async function fetchWithTimeout(request, timeout = SW_CONFIG.TIMEOUTS.FETCH, ret
 }
 
 // Safe cache put with size management
-async function safeCachePut(cache, request, response, cacheName) {
+async function safeCachePut(cache, request, response, cacheName, maxEntries) {
+    // Check performance budget
+    if (performanceCounter >= SW_CONFIG.PERFORMANCE_BUDGET) {
+        console.log('[VelocityCache SW] Performance budget exceeded, skipping cache put');
+        return;
+    }
+    
+    performanceCounter++;
+    
     try {
-        // Check performance budget
-        if (performanceCounter >= SW_CONFIG.PERFORMANCE_BUDGET) {
-            console.log('[VelocityCache SW] Performance budget exceeded, skipping cache put');
-            return;
+        // Clone response to avoid consumption issues
+        const responseToCache = response.clone();
+        
+        // Opaque bodies can't be read or re-wrapped, so they are stored as they
+        // are, in a cache of their own so their padded size (what browsers charge
+        // for them) can't push same-origin entries out of the route's cache
+        const opaque = responseToCache.type === 'opaque';
+        if (opaque) {
+            cacheName = SW_CONFIG.CACHE_NAMES.OPAQUE;
+            cache = await caches.open(cacheName);
+            maxEntries = undefined;
         }
         
-        performanceCounter++;
+        // Buffer the body so its size is known before deciding what to evict
+        const body = opaque ? null : await responseToCache.blob();
+        const size = opaque ? SW_CONFIG.OPAQUE_RESPONSE_SIZE : body.size;
+        if (size > getMaxCacheBytes(cacheName)) {
+            console.log(`[VelocityCache SW] ${request.url} exceeds the ${cacheName} byte budget, not caching`);
+            return;
+        }
         
         // Manage cache size before adding new entry
-        await manageCacheSize(cache, cacheName);
-        
-        // Clone response to avoid consumption issues
-        const responseToCache = response.clone();
+        await manageCacheSize(cache, cacheName, maxEntries, size);
         
-        // Add cache metadata
-        const headers = new Headers(responseToCache.headers);
-        headers.set('X-VelocityCache-Timestamp', Date.now().toString());
-        headers.set('X-VelocityCache-Version', SW_CONFIG.VERSION);
-        
-        const enhancedResponse = new Response(responseToCache.body, {
-            status: responseToCache.status,
-            statusText: responseToCache.statusText,
-            headers: headers
-        });
+        let enhancedResponse = responseToCache;
+        if (!opaque) {
+            // Add cache metadata
+            const headers = new Headers(responseToCache.headers);
+            headers.set('X-VelocityCache-Timestamp', Date.now().toString());
+            headers.set('X-VelocityCache-Version', SW_CONFIG.VERSION);
+            headers.set('X-VelocityCache-Size', body.size.toString());
+            
+            enhancedResponse = new Response(body, {
+                status: responseToCache.status,
+                statusText: responseToCache.statusText,
+                headers: headers
+            });
+        }
         
+        const previous = await cache.match(request);
         await cache.put(request, enhancedResponse);
+        adjustCacheBytes(cacheName, size - (previous ? getResponseSize(previous) : 0));
+        if (opaque) {
+            await setOpaqueTimestamp(request.url, Date.now());
+        }
         
         // Broadcast cache update
         broadcastCacheUpdate(request.url, 'CACHED');
@@ -373,12 +1757,17 @@ async function safeCachePut(cache, request, response, cacheName) {
 }
 
 // Intelligent cache size management
-async function manageCacheSize(cache, cacheName) {
+async function manageCacheSize(cache, cacheName, maxEntries, incomingBytes = 0) {
     try {
         const keys = await cache.keys();
-        const maxSize = SW_CONFIG.MAX_CACHE_SIZES[cacheName.split('-').pop().toUpperCase()] || 50;
+        const maxSize = maxEntries || getMaxCacheSize(cacheName);
+        const currentBytes = await getCacheBytes(cache, cacheName);
+        const byteBudget = await getCacheByteBudget(cacheName, currentBytes, incomingBytes);
         
-        if (keys.length >= maxSize) {
+        // Precached entries are never evicted, so they don't count against the limits
+        const entryCount = keys.length - (precachedEntryCounts.get(cacheName) || 0);
+        
+        if (entryCount >= maxSize || currentBytes > byteBudget) {
             // Sort by usage metrics (LRU + access frequency)
             const keysWithMetrics = await Promise.all(
                 keys.map(async (request) => {
@@ -388,6 +1777,8 @@ async function manageCacheSize(cache, cacheName) {
                     
                     return {
                         request,
+                        precached: isPrecachedResponse(response),
+                        size: response ? getResponseSize(response) : 0,
                         timestamp: parseInt(timestamp),
                         score: calculateEvictionScore(metrics, parseInt(timestamp))
                     };
@@ -397,15 +1788,28 @@ async function manageCacheSize(cache, cacheName) {
             // Sort by eviction score (lower = evict first)
             keysWithMetrics.sort((a, b) => a.score - b.score);
             
-            // Remove oldest entries
-            const toEvict = keysWithMetrics.slice(0, keys.length - maxSize + 5); // Remove extra for buffer
+            // Remove oldest entries, with extra for buffer when over the entry limit
+            const countToEvict = entryCount >= maxSize ? entryCount - maxSize + 5 : 0;
+            const toEvict = [];
+            let remainingBytes = currentBytes;
+            
+            for (const entry of keysWithMetrics) {
+                if (toEvict.length >= countToEvict && remainingBytes <= byteBudget) break;
+                if (entry.precached) continue; // Owned by the precache manifest
+                toEvict.push(entry);
+                remainingBytes -= entry.size;
+            }
             
             await Promise.all(
                 toEvict.map(async ({ request }) => {
                     await cache.delete(request);
                     cacheMetrics.delete(request.url);
+                    if (cacheName === SW_CONFIG.CACHE_NAMES.OPAQUE) {
+                        await setOpaqueTimestamp(request.url, null);
+                    }
                 })
             );
+            cacheByteTotals.set(cacheName, Math.max(0, remainingBytes));
             
             console.log(`[VelocityCache SW] Evicted ${toEvict.length} entries from ${cacheName}`);
         }
@@ -414,6 +1818,73 @@ async function manageCacheSize(cache, cacheName) {
     }
 }
 
+// Stored size of a cached response, from our own header or Content-Length
+function getResponseSize(response) {
+    if (response.type === 'opaque') return SW_CONFIG.OPAQUE_RESPONSE_SIZE;
+    
+    const size = response.headers.get('X-VelocityCache-Size') || response.headers.get('Content-Length');
+    return parseInt(size) || 0;
+}
+
+// Bytes of runtime entries in a cache, computed once and then kept up to date
+// on put/evict. Precached entries are counted separately and left out.
+async function getCacheBytes(cache, cacheName) {
+    if (cacheByteTotals.has(cacheName)) {
+        return cacheByteTotals.get(cacheName);
+    }
+    
+    const keys = await cache.keys();
+    const responses = await Promise.all(keys.map(request => cache.match(request)));
+    let total = 0;
+    let precached = 0;
+    
+    for (const response of responses) {
+        if (!response) continue;
+        if (isPrecachedResponse(response)) {
+            precached++;
+        } else {
+            total += getResponseSize(response);
+        }
+    }
+    
+    cacheByteTotals.set(cacheName, total);
+    precachedEntryCounts.set(cacheName, precached);
+    return total;
+}
+
+function adjustCacheBytes(cacheName, delta) {
+    if (cacheByteTotals.has(cacheName)) {
+        cacheByteTotals.set(cacheName, Math.max(0, cacheByteTotals.get(cacheName) + delta));
+    }
+}
+
+async function getStorageEstimate() {
+    if (!self.navigator?.storage?.estimate) return null;
+    
+    try {
+        return await self.navigator.storage.estimate();
+    } catch (error) {
+        return null;
+    }
+}
+
+// Bytes the cache may hold once the incoming entry is added, shrunk when the
+// origin is close to its quota so we evict before QuotaExceededError
+async function getCacheByteBudget(cacheName, currentBytes, incomingBytes) {
+    let budget = getMaxCacheBytes(cacheName) - incomingBytes;
+    const estimate = await getStorageEstimate();
+    
+    if (estimate && estimate.quota) {
+        const allowed = estimate.quota * Math.min(SW_CONFIG.STORAGE_QUOTA_RATIO, 1);
+        const overQuota = estimate.usage + incomingBytes - allowed;
+        if (overQuota > 0) {
+            budget = Math.min(budget, currentBytes - overQuota);
+        }
+    }
+    
+    return Math.max(0, budget);
+}
+
 // Calculate eviction score (lower score = higher eviction priority)
 function calculateEvictionScore(metrics, timestamp) {
     const age = Date.now() - timestamp;
@@ -424,34 +1895,38 @@ function calculateEvictionScore(metrics, timestamp) {
     return ageScore + recentAccessScore - accessScore;
 }
 
-// Enhanced BroadcastChannel message handler
-function handleBroadcastMessage(event) {
+// Enhanced BroadcastChannel message handler. Settles once the command is done,
+// so direct messages can keep the worker alive for it.
+async function handleBroadcastMessage(event) {
     const { type, url, priority, messageId, pattern } = event.data;
     
     switch (type) {
         case 'PREFETCH':
-            handlePrefetchRequest(url, priority, messageId);
-            break;
+            return handlePrefetchRequest(url, priority, messageId, event.data);
+            
+        case 'ABORT_PREFETCH':
+            return handlePrefetchAbort(url, messageId, event.data.requester);
+            
+        case 'UPDATE_CONFIG':
+            return handleConfigUpdate(event.data.config, messageId);
             
         case 'PRERENDER':
-            handlePrerenderRequest(url, messageId);
-            break;
+            return handlePrerenderRequest(url, messageId);
             
         case 'INVALIDATE_CACHE':
-            handleCacheInvalidation(pattern, messageId);
-            break;
+            return handleCacheInvalidation(pattern, messageId, event.data.flags);
             
         case 'GET_CACHE_STATS':
-            handleCacheStatsRequest(messageId);
-            break;
+            return handleCacheStatsRequest(messageId);
             
         case 'FORCE_REFRESH':
-            handleForceRefresh(url, messageId);
-            break;
+            return handleForceRefresh(url, messageId);
             
         case 'CLEANUP_CACHE':
-            handleManualCleanup(messageId);
-            break;
+            return handleManualCleanup(messageId);
+            
+        case 'GET_OFFLINE_PAGES':
+            return handleOfflinePagesRequest(messageId);
             
         default:
             console.log('[VelocityCache SW] Unknown message type:', type);
@@ -459,7 +1934,7 @@ function handleBroadcastMessage(event) {
 }
 
 // Enhanced prefetch handler with queue management
-async function handlePrefetchRequest(url, priority = 1, messageId) {
+async function handlePrefetchRequest(url, priority = 1, messageId, { strategy, cacheName, requester } = {}) {
     if (!url || !isValidUrl(url)) {
         broadcastResponse(messageId, false, 'Invalid URL');
         return;
@@ -467,11 +1942,34 @@ async function handlePrefetchRequest(url, priority = 1, messageId) {
     
     try {
         // Add to prefetch queue with priority
+        const rule = getPrefetchBlockingRule(url);
+        if (rule) {
+            console.log('[VelocityCache SW] Prefetch of', url, 'blocked by', rule);
+            broadcastResponse(messageId, false, `Blocked by ${rule}`);
+            return;
+        }
+        
+        if (!prefetchRequesters.has(url)) {
+            prefetchRequesters.set(url, new Set());
+        }
+        prefetchRequesters.get(url).add(requester);
+        
+        // Already running for another page: share its outcome
+        const running = inFlightPrefetches.get(url);
+        if (running) {
+            running.messageIds.push(messageId);
+            return;
+        }
+        
+        // Another page already queued this URL: answer both when it runs
+        const queued = prefetchQueue.get(url);
         prefetchQueue.set(url, {
             url,
-            priority,
+            priority: Math.max(priority, queued?.priority ?? priority),
             messageId,
-            timestamp: Date.now()
+            otherMessageIds: queued ? [...queued.otherMessageIds, queued.messageId] : [],
+            routed: setLinkRoute(url, { strategy, cacheName }),
+            timestamp: queued?.timestamp ?? Date.now()
         });
         
         // Process queue
@@ -483,6 +1981,68 @@ async function handlePrefetchRequest(url, priority = 1, messageId) {
     }
 }
 
+// Drop a queued prefetch or abort the one in flight once no page wants it
+function handlePrefetchAbort(url, messageId, requester) {
+    const requesters = prefetchRequesters.get(url);
+    requesters?.delete(requester);
+    if (requesters?.size) {
+        broadcastResponse(messageId, true, 'Still wanted by another page');
+        return;
+    }
+    prefetchRequesters.delete(url);
+    
+    const queued = prefetchQueue.get(url);
+    if (queued) {
+        prefetchQueue.delete(url);
+        [queued.messageId, ...queued.otherMessageIds].forEach(id => broadcastResponse(id, false, 'Cancelled'));
+    }
+    
+    const running = inFlightPrefetches.get(url);
+    running?.controller.abort();
+    
+    if (queued || running) {
+        console.log('[VelocityCache SW] Prefetch cancelled:', url);
+    }
+    broadcastResponse(messageId, true, queued || running ? 'Prefetch cancelled' : 'Not in flight');
+}
+
+// The PREFETCH_RULES entry keeping a URL from being prefetched, or null.
+// Same semantics as the page's getBlockingRule.
+function getPrefetchBlockingRule(url) {
+    const parsed = new URL(url, self.location.origin);
+    const target = parsed.pathname + parsed.search;
+    const { INCLUDE, EXCLUDE, DEFAULT_EXCLUDES } = SW_CONFIG.PREFETCH_RULES;
+    
+    const excludes = DEFAULT_EXCLUDES ? [...EXCLUDE, ...DEFAULT_PREFETCH_EXCLUDES] : EXCLUDE;
+    const excluded = excludes.find(rule => matchesUrlRule(rule, target));
+    if (excluded) return `exclude ${excluded}`;
+    
+    if (INCLUDE.length && !INCLUDE.some(rule => matchesUrlRule(rule, target))) {
+        return 'include';
+    }
+    
+    return null;
+}
+
+function matchesUrlRule(rule, target) {
+    if (rule instanceof RegExp) {
+        rule.lastIndex = 0;
+        return rule.test(target);
+    }
+    return urlGlobToRegExp(rule).test(target);
+}
+
+// * stays within a path segment, ** crosses segments; globs without a ?
+// ignore the query string
+function urlGlobToRegExp(glob) {
+    const source = glob
+        .split('**')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/?]*'))
+        .join('.*');
+    const query = glob.includes('?') ? '' : '(?:\\?.*)?';
+    return new RegExp(`^${source}${query}$`);
+}
+
 // Process prefetch queue with priority and concurrency control
 async function processPrefetchQueue() {
     if (performanceCounter >= SW_CONFIG.PERFORMANCE_BUDGET * 0.7) {
@@ -506,50 +2066,90 @@ async function processPrefetchQueue() {
 }
 
 // Execute individual prefetch operation
-async function executePrefetch({ url, messageId, priority }) {
+async function executePrefetch({ url, messageId, otherMessageIds = [], priority, routed = false, signal }) {
+    // Aborted by ABORT_PREFETCH, or with the page that pulled in this subresource
+    const controller = new AbortController();
+    signal?.addEventListener('abort', () => controller.abort(), { once: true });
+    
+    // Every page that asked for this URL while it was queued or running gets the outcome
+    const running = { controller, messageIds: [messageId, ...otherMessageIds] };
+    inFlightPrefetches.set(url, running);
+    const reply = (success, message) => {
+        running.messageIds.forEach(id => broadcastResponse(id, success, message));
+    };
+    
     try {
         performanceCounter++;
         
-        const cache = await caches.open(SW_CONFIG.CACHE_NAMES.PREFETCH);
+        const request = new Request(url, {
+            mode: 'cors',
+            credentials: 'same-origin'
+        });
+        
+        // URLs with a link override go where their navigation will look
+        const route = routed ? matchRoute(request) : null;
+        if (route?.strategy === 'network-only') {
+            reply(true, 'Not cached (network-only)');
+            return;
+        }
+        const cacheName = route ? resolveCacheName(route.cacheName) : SW_CONFIG.CACHE_NAMES.PREFETCH;
+        const cache = await caches.open(cacheName);
         
         // Check if already cached
         const cached = await cache.match(url);
-        if (cached && !isResourceStale(cached)) {
-            broadcastResponse(messageId, true, 'Already cached');
+        if (cached && !isResourceStale(cached, route?.maxAge)) {
+            reply(true, 'Already cached');
             return;
         }
         
-        // Fetch resource
-        const request = new Request(url, {
-            mode: 'cors',
-            credentials: 'same-origin'
-        });
-        
-        const response = await fetchWithTimeout(request, SW_CONFIG.TIMEOUTS.PREFETCH);
+        // Fetch resource, conditionally if we hold a stale copy. Other origins
+        // must allow CORS; a refusal looks like a network error, so no retry.
+        const sameOrigin = new URL(url).origin === self.location.origin;
+        const response = await fetchWithTimeout(
+            cached ? createConditionalRequest(request, cached) : request,
+            SW_CONFIG.TIMEOUTS.PREFETCH,
+            sameOrigin ? 1 : 0,
+            controller.signal
+        );
         
-        if (response && response.status === 200) {
-            await safeCachePut(cache, request, response, SW_CONFIG.CACHE_NAMES.PREFETCH);
+        if (response.status === 304 && cached) {
+            await refreshCachedResponse(cache, request, cached, response);
+            reply(true, 'Revalidated');
+        } else if (response?.status === 200 && isCacheableResponse(response)) {
+            await safeCachePut(cache, request, response, cacheName, route?.maxEntries);
             
             // Prefetch critical subresources for high priority items
             if (priority >= 8) {
-                prefetchSubresources(url, response.clone());
+                prefetchSubresources(url, response.clone(), controller.signal);
             }
             
-            broadcastResponse(messageId, true, 'Prefetched successfully');
+            reply(true, 'Prefetched successfully');
+        } else if (response?.status === 200) {
+            reply(true, 'Not cached (no-store)');
         } else {
-            broadcastResponse(messageId, false, `HTTP ${response?.status || 'Network Error'}`);
+            reply(false, `HTTP ${response?.status || 'Network Error'}`);
         }
         
     } catch (error) {
+        if (controller.signal.aborted) {
+            reply(false, 'Cancelled');
+            return;
+        }
         console.error('[VelocityCache SW] Prefetch execution failed:', error);
-        broadcastResponse(messageId, false, error.message);
+        reply(false, error.message);
     } finally {
         performanceCounter--;
+        if (inFlightPrefetches.get(url) === running) {
+            inFlightPrefetches.delete(url);
+            if (!prefetchQueue.has(url)) {
+                prefetchRequesters.delete(url);
+            }
+        }
     }
 }
 
 // Prefetch critical subresources
-async function prefetchSubresources(url, response) {
+async function prefetchSubresources(url, response, signal) {
     try {
         const html = await response.text();
         const subresources = extractCriticalSubresources(html, url);
@@ -561,7 +2161,8 @@ async function prefetchSubresources(url, response) {
             executePrefetch({
                 url: resourceUrl,
                 priority: 3, // Lower priority for subresources
-                messageId: null
+                messageId: null,
+                signal
             })
         );
         
@@ -614,10 +2215,13 @@ function extractCriticalSubresources(html, baseUrl) {
 }
 
 // Handle cache invalidation with pattern matching
-async function handleCacheInvalidation(pattern, messageId) {
+async function handleCacheInvalidation(pattern, messageId, flags = '') {
     try {
-        const regex = new RegExp(pattern);
-        const cacheNames = Object.values(SW_CONFIG.CACHE_NAMES);
+        // Stateful flags would make test() skip matches
+        const regex = new RegExp(pattern, flags.replace(/[gy]/g, ''));
+        // Offline fallbacks and precached entries only change with the offline
+        // config and the manifest, so invalidation skips what eviction skips
+        const cacheNames = getEvictableCacheNames();
         let invalidatedCount = 0;
         
         for (const cacheName of cacheNames) {
@@ -625,15 +2229,17 @@ async function handleCacheInvalidation(pattern, messageId) {
             const keys = await cache.keys();
             
             for (const request of keys) {
-                if (regex.test(request.url)) {
-                    await cache.delete(request);
-                    cacheMetrics.delete(request.url);
-                    invalidatedCount++;
-                }
+                if (!regex.test(request.url)) continue;
+                if (isPrecachedResponse(await cache.match(request))) continue;
+                
+                await cache.delete(request);
+                cacheMetrics.delete(request.url);
+                cacheByteTotals.delete(cacheName);
+                invalidatedCount++;
             }
         }
         
-        broadcastResponse(messageId, true, `Invalidated ${invalidatedCount} entries`);
+        broadcastResponse(messageId, true, `Invalidated ${invalidatedCount} entries`, { invalidated: invalidatedCount });
         
     } catch (error) {
         console.error('[VelocityCache SW] Cache invalidation failed:', error);
@@ -645,15 +2251,19 @@ async function handleCacheInvalidation(pattern, messageId) {
 async function handleCacheStatsRequest(messageId) {
     try {
         const stats = {};
-        const cacheNames = Object.values(SW_CONFIG.CACHE_NAMES);
+        const cacheNames = getActiveCacheNames();
         
         for (const cacheName of cacheNames) {
             const cache = await caches.open(cacheName);
             const keys = await cache.keys();
+            const bytes = await getCacheBytes(cache, cacheName);
             
             stats[cacheName] = {
                 size: keys.length,
-                maxSize: SW_CONFIG.MAX_CACHE_SIZES[cacheName.split('-').pop().toUpperCase()] || 50,
+                precached: precachedEntryCounts.get(cacheName) || 0,
+                maxSize: getMaxCacheSize(cacheName),
+                bytes,
+                maxBytes: getMaxCacheBytes(cacheName),
                 urls: keys.slice(0, 5).map(req => req.url) // Sample URLs
             };
         }
@@ -662,7 +2272,12 @@ async function handleCacheStatsRequest(messageId) {
             type: 'CACHE_STATS',
             messageId,
             stats,
-            metrics: Object.fromEntries(Array.from(cacheMetrics.entries()).slice(0, 20)),
+            metrics: await getAggregatedMetrics().catch(error => {
+                console.error('[VelocityCache SW] Reading metrics failed:', error);
+                return null;
+            }),
+            urlMetrics: Object.fromEntries(Array.from(cacheMetrics.entries()).slice(0, 20)),
+            storage: await getStorageEstimate(),
             performance: {
                 activeOperations: performanceCounter,
                 queueSize: prefetchQueue.size,
@@ -683,17 +2298,70 @@ async function handlePrerenderRequest(url, messageId) {
 }
 
 async function handleForceRefresh(url, messageId) {
+    if (!url || !isValidUrl(url)) {
+        broadcastResponse(messageId, false, 'Invalid URL');
+        return;
+    }
+    
     try {
-        // Force refresh by invalidating and refetching
-        const cacheNames = Object.values(SW_CONFIG.CACHE_NAMES);
+        await configReady;
+        
+        // Manifest entries and offline fallbacks are replaced in their own
+        // cache, so they keep working offline even if the fetch fails
+        const href = new URL(url, self.location.origin).href;
+        const entry = getPrecacheManifest().find(item => item.url === href);
+        const isOfflineFallback = getOfflineFallbackUrls().includes(href);
+        
+        if (entry || isOfflineFallback) {
+            if (entry) {
+                const cache = await caches.open(entry.cacheName);
+                await cache.put(href, await fetchPrecacheEntry(href, entry.revision));
+                cacheByteTotals.delete(entry.cacheName);
+            }
+            
+            if (isOfflineFallback) {
+                const response = await fetchWithTimeout(new Request(href, { cache: 'reload', credentials: 'same-origin' }), SW_CONFIG.TIMEOUTS.FETCH);
+                if (!response.ok) {
+                    throw new Error(`Refresh of ${href} failed with HTTP ${response.status}`);
+                }
+                
+                const cache = await caches.open(SW_CONFIG.CACHE_NAMES.OFFLINE);
+                await cache.put(href, response);
+                cacheByteTotals.delete(SW_CONFIG.CACHE_NAMES.OFFLINE);
+            }
+            
+            broadcastResponse(messageId, true, 'Refreshed in place');
+            return;
+        }
+        
+        // Runtime copies are dropped and refetched
+        const cacheNames = getActiveCacheNames().filter(cacheName => cacheName !== SW_CONFIG.CACHE_NAMES.OFFLINE);
         for (const cacheName of cacheNames) {
             const cache = await caches.open(cacheName);
-            await cache.delete(url);
+            if (await cache.delete(url)) {
+                cacheByteTotals.delete(cacheName);
+            }
         }
         
-        // Prefetch fresh version
-        await handlePrefetchRequest(url, 10, messageId);
+        // Fetch the fresh version right away; queued prefetches wait on the
+        // performance budget, which could outlast the page's timeout
+        await executePrefetch({ url, priority: 10, messageId });
+    } catch (error) {
+        broadcastResponse(messageId, false, error.message);
+    }
+}
+
+async function handleOfflinePagesRequest(messageId) {
+    try {
+        await configReady;
+        
+        broadcastMessage({
+            type: 'OFFLINE_PAGES',
+            messageId,
+            pages: await getOfflinePages()
+        });
     } catch (error) {
+        console.error('[VelocityCache SW] Offline page listing failed:', error);
         broadcastResponse(messageId, false, error.message);
     }
 }
@@ -709,18 +2377,7 @@ async function handleManualCleanup(messageId) {
 
 // Utility functions
 function classifyRequest(request) {
-    const url = new URL(request.url);
-    const pathname = url.pathname.toLowerCase();
-    const accept = request.headers.get('Accept') || '';
-    
-    if (pathname.match(/\.(css|js|woff2?|ttf|eot)$/)) return 'static';
-    if (pathname.match(/\.(png|jpe?g|gif|webp|svg|ico)$/)) return 'image';
-    if (pathname.match(/\.(mp4|webm|mp3|wav|ogg)$/)) return 'media';
-    if (pathname.startsWith('/api/') || pathname.includes('/graphql')) return 'api';
-    if (accept.includes('text/html')) return 'html';
-    if (request.headers.get('X-Prefetch-Source')) return 'prefetch';
-    
-    return 'dynamic';
+    return matchRoute(request).type || 'dynamic';
 }
 
 function shouldBypassCache(request) {
@@ -734,8 +2391,7 @@ function shouldBypassCache(request) {
 }
 
 function shouldCacheResponse(request, response, isAPI = false) {
-    if (!response || response.status !== 200) return false;
-    if (response.headers.get('Cache-Control')?.includes('no-store')) return false;
+    if (!isCacheableResponse(response)) return false;
     
     if (isAPI) {
         // Only cache GET API requests with specific patterns
@@ -748,18 +2404,144 @@ function shouldCacheResponse(request, response, isAPI = false) {
     return true;
 }
 
-function isResourceStale(response, maxAge = 3600000) { // 1 hour default
-    const timestamp = response.headers.get('X-VelocityCache-Timestamp');
-    if (!timestamp) return true;
+function isResourceStale(response, maxAge) {
+    return !getFreshness(response, maxAge).fresh;
+}
+
+// Cache-Control directives as { name: seconds | true }
+function parseCacheControl(value) {
+    const directives = {};
+    
+    (value || '').split(',').forEach(part => {
+        const [name, rawValue] = part.trim().split('=');
+        if (!name) return;
+        
+        const seconds = parseInt((rawValue || '').replace(/"/g, ''), 10);
+        directives[name.toLowerCase()] = Number.isNaN(seconds) ? true : seconds;
+    });
+    
+    return directives;
+}
+
+function parseHttpDate(value) {
+    const time = value ? Date.parse(value) : NaN;
+    return Number.isNaN(time) ? null : time;
+}
+
+// Freshness of a cached response per RFC 9111. Lifetime comes from
+// max-age, then s-maxage (this cache is private, so only as a fallback),
+// then Expires, then the route's maxAge, then 10% of the Last-Modified age.
+function getFreshness(response, maxAge) {
+    // Opaque copies have no headers to judge by, and can't be revalidated
+    // conditionally: they are fresh for the route's maxAge after we stored
+    // them, then served once more while a full copy downloads
+    if (response.type === 'opaque') {
+        const storedAt = opaqueStoredAt.get(response) || 0;
+        const age = storedAt ? Date.now() - storedAt : Infinity;
+        const lifetime = maxAge ?? DEFAULT_FRESHNESS_LIFETIME;
+        return { age, lifetime, fresh: age <= lifetime, staleWhileRevalidate: true, staleIfError: true };
+    }
+    
+    const headers = response.headers;
+    const directives = parseCacheControl(headers.get('Cache-Control'));
+    const now = Date.now();
+    
+    const storedAt = parseInt(headers.get('X-VelocityCache-Timestamp'), 10) || 0;
+    const date = parseHttpDate(headers.get('Date')) ?? storedAt;
+    const ageHeader = (parseInt(headers.get('Age'), 10) || 0) * 1000;
+    const age = Math.max(ageHeader, storedAt - date, 0) + (now - storedAt);
+    
+    let lifetime;
+    if (directives['no-cache'] || !storedAt) {
+        lifetime = 0;
+    } else if (typeof directives['max-age'] === 'number') {
+        lifetime = directives['max-age'] * 1000;
+    } else if (typeof directives['s-maxage'] === 'number') {
+        lifetime = directives['s-maxage'] * 1000;
+    } else if (parseHttpDate(headers.get('Expires')) !== null) {
+        lifetime = parseHttpDate(headers.get('Expires')) - date;
+    } else if (maxAge !== undefined) {
+        lifetime = maxAge;
+    } else {
+        const lastModified = parseHttpDate(headers.get('Last-Modified'));
+        lifetime = lastModified !== null
+            ? Math.max(0, (date - lastModified) / 10)
+            : DEFAULT_FRESHNESS_LIFETIME;
+    }
+    
+    const staleness = age - lifetime;
+    const mustRevalidate = Boolean(directives['must-revalidate'] || directives['proxy-revalidate']);
+    const allowance = (name) => typeof directives[name] === 'number' ? directives[name] * 1000 : 0;
+    
+    return {
+        age,
+        lifetime,
+        fresh: staleness <= 0,
+        staleWhileRevalidate: staleness <= allowance('stale-while-revalidate'),
+        staleIfError: staleness <= 0 || (!mustRevalidate && staleness <= allowance('stale-if-error'))
+    };
+}
+
+// Copy of the request carrying the cached response's validators
+function createConditionalRequest(request, cachedResponse) {
+    const etag = cachedResponse.headers.get('ETag');
+    const lastModified = cachedResponse.headers.get('Last-Modified');
+    if (!etag && !lastModified) return request;
+    
+    const headers = new Headers(request.headers);
+    if (etag) headers.set('If-None-Match', etag);
+    if (lastModified) headers.set('If-Modified-Since', lastModified);
+    
+    return new Request(request, { headers });
+}
+
+// Apply a 304's headers to the cached entry, keeping the stored body
+async function refreshCachedResponse(cache, request, cachedResponse, notModified) {
+    const headers = new Headers(cachedResponse.headers);
+    notModified.headers.forEach((value, name) => {
+        if (!NOT_MODIFIED_IGNORED_HEADERS.includes(name)) {
+            headers.set(name, value);
+        }
+    });
+    headers.set('X-VelocityCache-Timestamp', Date.now().toString());
+    
+    const refreshed = new Response(await cachedResponse.blob(), {
+        status: cachedResponse.status,
+        statusText: cachedResponse.statusText,
+        headers
+    });
+    
+    await cache.put(request, refreshed.clone());
+    broadcastCacheUpdate(request.url, 'REVALIDATED');
+    return refreshed;
+}
+
+// Conditional fetch that updates the cache; resolves to the response to serve
+async function revalidateResponse(request, cache, cacheName, cachedResponse, options = {}) {
+    const response = await fetchWithTimeout(
+        createConditionalRequest(request, cachedResponse),
+        options.networkTimeout || SW_CONFIG.TIMEOUTS.FETCH
+    );
+    
+    if (response.status === 304) {
+        return refreshCachedResponse(cache, request, cachedResponse, response);
+    }
+    
+    if (isCacheableResponse(response)) {
+        await safeCachePut(cache, request, response.clone(), cacheName, options.maxEntries);
+        broadcastCacheUpdate(request.url, 'UPDATED');
+    }
     
-    return (Date.now() - parseInt(timestamp)) > maxAge;
+    return response;
 }
 
 function isValidUrl(url) {
     try {
         const parsed = new URL(url, self.location.origin);
-        return parsed.origin === self.location.origin &&
-               parsed.protocol === self.location.protocol &&
+        const allowed = parsed.origin === self.location.origin
+            ? parsed.protocol === self.location.protocol
+            : getAllowedOrigin(parsed.origin) !== null;
+        return allowed &&
                !url.includes('javascript:') &&
                !url.includes('data:') &&
                !url.includes('blob:');
@@ -768,52 +2550,231 @@ function isValidUrl(url) {
     }
 }
 
-// Performance and metrics tracking
-function recordCacheHit(url) {
+// Performance and metrics tracking. Per-URL counts stay in memory for the
+// stats sample; aggregates per cache and route are persisted, see recordAggregate.
+// options carries the route key and the request's start time.
+function recordCacheHit(url, cacheName, options = {}, response) {
+    if (response) cacheServedResponses.add(response);
     const metrics = cacheMetrics.get(url) || { hits: 0, misses: 0, lastAccess: 0 };
     metrics.hits++;
     metrics.lastAccess = Date.now();
     cacheMetrics.set(url, metrics);
+    recordAggregate(cacheName, options, {
+        hits: 1,
+        bytesServed: getServedBytes(response),
+        ...elapsedSince(options, 'cacheTime', 'timedHits')
+    });
+    broadcastCacheEvent('CACHE_HIT', url, cacheName);
 }
 
-function recordCacheMiss(url) {
+function recordCacheMiss(url, cacheName, options = {}) {
     const metrics = cacheMetrics.get(url) || { hits: 0, misses: 0, lastAccess: 0 };
     metrics.misses++;
     cacheMetrics.set(url, metrics);
+    recordAggregate(cacheName, options, { misses: 1, ...elapsedSince(options, 'networkTime', 'timedNetwork') });
+    broadcastCacheEvent('CACHE_MISS', url, cacheName);
 }
 
-function recordNetworkSuccess(url) {
+function recordNetworkSuccess(url, cacheName, options = {}) {
     const metrics = cacheMetrics.get(url) || { hits: 0, misses: 0, networkSuccess: 0 };
     metrics.networkSuccess = (metrics.networkSuccess || 0) + 1;
     cacheMetrics.set(url, metrics);
+    recordAggregate(cacheName, options, { networkSuccess: 1, ...elapsedSince(options, 'networkTime', 'timedNetwork') });
 }
 
-function recordCacheFallback(url) {
+function recordCacheFallback(url, cacheName, options = {}, response) {
+    if (response) cacheServedResponses.add(response);
     const metrics = cacheMetrics.get(url) || { hits: 0, misses: 0, fallbacks: 0 };
     metrics.fallbacks = (metrics.fallbacks || 0) + 1;
     cacheMetrics.set(url, metrics);
+    recordAggregate(cacheName, options, { fallbacks: 1, bytesServed: getServedBytes(response) });
+    broadcastCacheEvent('CACHE_FALLBACK', url, cacheName);
+}
+
+// Opaque sizes are unknown, their padded size would inflate the totals
+function getServedBytes(response) {
+    return response && response.type !== 'opaque' ? getResponseSize(response) : 0;
+}
+
+// Duration counters for a request, when its start time is known
+function elapsedSince(options, timeField, countField) {
+    if (options.startTime === undefined) return {};
+    return { [timeField]: performance.now() - options.startTime, [countField]: 1 };
+}
+
+const METRIC_COUNTERS = ['hits', 'misses', 'fallbacks', 'networkSuccess', 'bytesServed',
+    'cacheTime', 'timedHits', 'networkTime', 'timedNetwork'];
+
+function createMetricCounters() {
+    return Object.fromEntries(METRIC_COUNTERS.map(name => [name, 0]));
+}
+
+function addMetricCounters(target, counts) {
+    for (const [name, value] of Object.entries(counts)) {
+        target[name] = (target[name] || 0) + value;
+    }
+    return target;
+}
+
+// Count into the current time bucket, per cache and per route, both overall
+// and within the request's experiment group
+function recordAggregate(cacheName, options, counts) {
+    const bucketSize = SW_CONFIG.METRICS.BUCKET_SIZE;
+    const bucket = Math.floor(Date.now() / bucketSize) * bucketSize;
+    const entry = pendingMetrics.get(bucket) || { bucket, caches: {}, routes: {}, groups: {} };
+    const route = options.route || 'other';
+    const group = options.group || 'treatment';
+    
+    entry.groups[group] = entry.groups[group] || { caches: {}, routes: {} };
+    for (const target of [entry, entry.groups[group]]) {
+        target.caches[cacheName] = addMetricCounters(target.caches[cacheName] || createMetricCounters(), counts);
+        target.routes[route] = addMetricCounters(target.routes[route] || createMetricCounters(), counts);
+    }
+    pendingMetrics.set(bucket, entry);
+    scheduleMetricsFlush();
+}
+
+// Batch writes every FLUSH_INTERVAL. Fetch events wait on the returned
+// promise, so the browser doesn't stop the worker with counts unwritten.
+function scheduleMetricsFlush() {
+    if (!metricsFlush) {
+        metricsFlush = new Promise(resolve => setTimeout(resolve, SW_CONFIG.METRICS.FLUSH_INTERVAL))
+            .then(() => {
+                metricsFlush = null;
+                return flushMetrics();
+            })
+            .catch(error => {
+                console.error('[VelocityCache SW] Metrics flush failed:', error);
+            });
+    }
+    return metricsFlush;
+}
+
+function mergeMetricBuckets(target, source) {
+    for (const dimension of ['caches', 'routes']) {
+        for (const [name, counts] of Object.entries(source[dimension])) {
+            target[dimension][name] = addMetricCounters(target[dimension][name] || createMetricCounters(), counts);
+        }
+    }
+    
+    if (source.groups) {
+        target.groups = target.groups || {};
+        for (const [group, counts] of Object.entries(source.groups)) {
+            target.groups[group] = mergeMetricBuckets(target.groups[group] || { caches: {}, routes: {} }, counts);
+        }
+    }
+    return target;
+}
+
+// Add pending counts to the stored buckets and drop buckets past retention
+async function flushMetrics() {
+    const pending = Array.from(pendingMetrics.values());
+    pendingMetrics.clear();
+    
+    const db = await openWorkerDB();
+    
+    try {
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(SW_DB.STORES.METRICS, 'readwrite');
+            const store = transaction.objectStore(SW_DB.STORES.METRICS);
+            
+            for (const entry of pending) {
+                const request = store.get(entry.bucket);
+                request.onsuccess = () => {
+                    store.put(request.result ? mergeMetricBuckets(request.result, entry) : entry);
+                };
+            }
+            
+            store.delete(IDBKeyRange.upperBound(Date.now() - SW_CONFIG.METRICS.RETENTION));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    } catch (error) {
+        // Put the counts back so the next flush retries them
+        pending.forEach(entry => {
+            const current = pendingMetrics.get(entry.bucket);
+            pendingMetrics.set(entry.bucket, current ? mergeMetricBuckets(current, entry) : entry);
+        });
+        throw error;
+    } finally {
+        db.close();
+    }
+}
+
+// Ratios and averages for one set of counters
+function summarizeMetrics(counts) {
+    const requests = counts.hits + counts.misses + counts.fallbacks + counts.networkSuccess;
+    const avgCacheTime = counts.timedHits ? counts.cacheTime / counts.timedHits : null;
+    const avgNetworkTime = counts.timedNetwork ? counts.networkTime / counts.timedNetwork : null;
+    const avgTimeSaved = avgCacheTime !== null && avgNetworkTime !== null
+        ? Math.max(0, avgNetworkTime - avgCacheTime)
+        : null;
+    
+    return {
+        requests,
+        hits: counts.hits,
+        misses: counts.misses,
+        fallbacks: counts.fallbacks,
+        networkSuccess: counts.networkSuccess,
+        hitRatio: requests ? counts.hits / requests : null,
+        bytesServed: counts.bytesServed,
+        avgCacheTime,
+        avgNetworkTime,
+        avgTimeSaved,
+        timeSaved: avgTimeSaved !== null ? avgTimeSaved * counts.timedHits : null
+    };
+}
+
+// Persisted and pending buckets, summarized overall, per cache, per route and per bucket
+async function getAggregatedMetrics() {
+    await flushMetrics();
+    
+    const cutoff = Date.now() - SW_CONFIG.METRICS.RETENTION;
+    const buckets = (await workerDBGetAll(SW_DB.STORES.METRICS))
+        .filter(entry => entry.bucket > cutoff);
+    const combined = buckets.reduce((total, entry) => mergeMetricBuckets(total, entry), { caches: {}, routes: {}, groups: {} });
+    const sumCounters = (group) => Object.values(group).reduce(addMetricCounters, createMetricCounters());
+    const summarizeGroup = (group) => Object.fromEntries(
+        Object.entries(group).map(([name, counts]) => [name, summarizeMetrics(counts)]));
+    
+    return {
+        since: buckets.length ? buckets[0].bucket : null,
+        bucketSize: SW_CONFIG.METRICS.BUCKET_SIZE,
+        totals: summarizeMetrics(sumCounters(combined.caches)),
+        caches: summarizeGroup(combined.caches),
+        routes: summarizeGroup(combined.routes),
+        // Holdout experiment comparison
+        groups: Object.fromEntries(Object.entries(combined.groups).map(([group, counts]) => [group, {
+            totals: summarizeMetrics(sumCounters(counts.caches)),
+            caches: summarizeGroup(counts.caches),
+            routes: summarizeGroup(counts.routes)
+        }])),
+        buckets: buckets.map(entry => ({
+            bucket: entry.bucket,
+            ...summarizeMetrics(sumCounters(entry.caches))
+        }))
+    };
 }
 
 // Background cache updates
-async function updateCacheInBackground(request, cache) {
+async function updateCacheInBackground(request, cache, cacheName, cachedResponse, options = {}) {
     try {
-        const response = await fetchWithTimeout(request, SW_CONFIG.TIMEOUTS.FETCH);
-        if (response && response.status === 200) {
-            await safeCachePut(cache, request, response, cache.name || 'unknown');
-            broadcastCacheUpdate(request.url, 'UPDATED');
-        }
+        await revalidateResponse(request, cache, cacheName, cachedResponse, options);
     } catch (error) {
         // Silent failure for background updates
         console.log('[VelocityCache SW] Background update failed:', error.message);
     }
 }
 
-// Create offline response
-function createOfflineResponse(request) {
+// Create offline response, preferring configured fallbacks
+async function createOfflineResponse(request) {
     const url = new URL(request.url);
     const accept = request.headers.get('Accept') || '';
     
-    if (accept.includes('text/html')) {
+    if (request.mode === 'navigate' || accept.includes('text/html')) {
+        const fallback = await matchOfflineFallback(getOfflinePageFor(url.pathname));
+        if (fallback) return fallback;
+        
         return new Response(`
             <!DOCTYPE html>
             <html>
@@ -843,6 +2804,11 @@ function createOfflineResponse(request) {
         });
     }
     
+    if (request.destination === 'image' || accept.includes('image/')) {
+        const fallback = await matchOfflineFallback(SW_CONFIG.OFFLINE.IMAGE);
+        if (fallback) return fallback;
+    }
+    
     // JSON response for API requests
     if (accept.includes('application/json') || url.pathname.startsWith('/api/')) {
         return new Response(JSON.stringify({
@@ -892,8 +2858,9 @@ function broadcastMessage(data) {
     });
 }
 
-function broadcastResponse(messageId, success, message = '') {
+function broadcastResponse(messageId, success, message = '', data = {}) {
     broadcastMessage({
+        ...data,
         messageId,
         success,
         message,
@@ -910,10 +2877,43 @@ function broadcastCacheUpdate(url, action) {
     });
 }
 
+// Hit/miss/fallback notifications for page-side listeners
+function broadcastCacheEvent(type, url, cacheName) {
+    broadcastMessage({
+        type,
+        url,
+        cacheName,
+        timestamp: Date.now()
+    });
+}
+
 // Periodic maintenance
-function startPeriodicCleanup() {
-    setInterval(async () => {
+async function startPeriodicCleanup() {
+    await configReady;
+    
+    // Restarted whenever CLEANUP_INTERVAL changes
+    if (cleanupTimer) {
+        clearInterval(cleanupTimer);
+    }
+    
+    cleanupTimer = setInterval(async () => {
         try {
+            // Re-measure cache sizes so the running byte totals can't drift
+            cacheByteTotals.clear();
+            
+            // Forget experiment groups of closed pages
+            const clientIds = new Set((await self.clients.matchAll({ includeUncontrolled: true })).map(client => client.id));
+            for (const clientId of clientGroups.keys()) {
+                if (!clientIds.has(clientId)) clientGroups.delete(clientId);
+            }
+            
+            // Forget link overrides nobody has prefetched for a day
+            for (const [url, override] of linkRoutes.entries()) {
+                if (Date.now() - override.timestamp > LINK_ROUTE_TTL) {
+                    linkRoutes.delete(url);
+                }
+            }
+            
             // Clean up old metrics
             const cutoff = Date.now() - (24 * 60 * 60 * 1000); // 24 hours
             for (const [url, metrics] of cacheMetrics.entries()) {
@@ -923,7 +2923,7 @@ function startPeriodicCleanup() {
             }
             
             // Manage cache sizes
-            const cacheNames = Object.values(SW_CONFIG.CACHE_NAMES);
+            const cacheNames = getEvictableCacheNames();
             for (const cacheName of cacheNames) {
                 const cache = await caches.open(cacheName);
                 await manageCacheSize(cache, cacheName);
@@ -941,7 +2941,7 @@ async function handleBackgroundCleanup() {
     console.log('[VelocityCache SW] Background cleanup sync triggered');
     
     try {
-        const cacheNames = Object.values(SW_CONFIG.CACHE_NAMES);
+        const cacheNames = getEvictableCacheNames();
         for (const cacheName of cacheNames) {
             const cache = await caches.open(cacheName);
             await manageCacheSize(cache, cacheName);
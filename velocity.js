@@ -4,14 +4,83 @@
     // Enhanced configuration system
     const DEFAULT_CONFIG = {
         MAX_CACHED_LINKS: 100,
+        MAX_CACHED_BYTES: 20971520, // 20 MB of stored bodies in IndexedDB
+        STORAGE_QUOTA_RATIO: 0.8, // Start evicting before the origin uses this share of its quota
         DB_NAME: 'VelocityDB',
-        DB_VERSION: 2,
+        DB_VERSION: 4,
         STORE_NAME: 'preloadedContent',
         ANALYTICS_STORE: 'usageAnalytics',
         SW_PATH: '/velocity-worker.js',
+        PRECACHE_MANIFEST: null, // Script setting self.__VELOCITY_PRECACHE_MANIFEST, loaded by the worker
         PREFETCH_TIMEOUT: 3000,
+        SW_COMMAND_TIMEOUT: 10000, // How long worker commands wait for a reply
         CLEANUP_INTERVAL: 300000, // 5 minutes
+        CLEANUP_IN_WORKER: true, // Run IndexedDB eviction in a Web Worker when possible
         MAX_CONCURRENT_PREFETCH: 3,
+        LOW_PRIORITY_THRESHOLD: 5, // Prefetches below this priority run in idle time and may be cancelled
+        MAX_QUEUE_SIZE: 50, // Lowest-ranked queued prefetch is dropped beyond this
+        PRIORITY_AGING_INTERVAL: 2000, // Queued prefetches gain 1 priority per interval (ms), 0 = off
+        IDLE_PREFETCH_TIMEOUT: 2000, // Longest a low-priority prefetch waits for idle time (ms)
+        // Most prefetches in flight at once per trigger, others are unlimited
+        TRIGGER_BUDGETS: {
+            visible: 2,
+            predicted: 1
+        },
+        // What happens to a cancelled prefetch, by reason: 'requeue' or 'drop'
+        CANCELLED_PREFETCH_POLICY: {
+            hidden: 'requeue', // The tab was hidden
+            navigation: 'drop', // The page is being replaced or unloaded
+            preempted: 'requeue', // Higher-priority work needed the slot
+            network: 'drop' // The connection got worse
+        },
+        // CSS selectors matched against links and their ancestors. Denied links
+        // are never prefetched; when allow selectors are set, only matching links
+        // (or ones with an explicit data-velocity mode) are.
+        PREFETCH_ALLOW_SELECTORS: [],
+        PREFETCH_DENY_SELECTORS: [],
+        // URL rules over the path and query: globs ('/admin/**'), RegExps or
+        // functions receiving a URL. Excludes win; once includes are set, other
+        // URLs are skipped. Globs and RegExps also apply in the worker.
+        PREFETCH_INCLUDE: [],
+        PREFETCH_EXCLUDE: [],
+        PREFETCH_DEFAULT_EXCLUDES: true, // Skip logout, delete and similar state-changing links
+        // Other origins to prefetch and cache, e.g. 'https://cdn.example.com' or
+        // { origin, strategy, cacheName, maxAge } for the worker's default route there
+        ALLOWED_ORIGINS: [],
+        MAX_CONCURRENT_PREFETCH_FAST: 6, // Used on fast connections when ADAPTIVE_NETWORK is on
+        ADAPTIVE_NETWORK: true,
+        // Slowest connection quality at which each trigger may still prefetch
+        TRIGGER_MIN_NETWORK: {
+            click: 'save-data',
+            touch: 'medium',
+            hover: 'medium',
+            visible: 'fast',
+            eager: 'medium',
+            predicted: 'medium'
+        },
+        // Speculation Rules: minimum priority for each eagerness level,
+        // anything lower is 'conservative'
+        SPECULATION_EAGERNESS: {
+            immediate: 8,
+            eager: 5,
+            moderate: 3
+        },
+        SPECULATION_PREFETCH_TTL: 300000, // 5 minutes
+        PRERENDER_TTL: 30000,
+        MAX_PRERENDERS: 2,
+        HOVER_INTENT_DELAY: 80, // Pointer must rest on a link this long (ms) before hover prefetches; 0 prefetches on mouseover
+        HOVER_TRAJECTORY: true, // Start the delay early for the link the pointer is heading toward
+        HOVER_TRAJECTORY_RANGE: 300, // How far ahead (px) to look for that link
+        SOFT_NAVIGATION: false, // Swap in prefetched documents on click instead of a full load
+        VIEW_TRANSITIONS: true, // Animate soft navigations where the View Transitions API exists
+        HOLDOUT_PERCENTAGE: 0, // Share (0-100) of sessions or users with prefetching and worker caching off
+        HOLDOUT_UNIT: 'session', // 'session' or 'user': how long an assignment lasts
+        HOLDOUT_ID: null, // Your own stable ID (e.g. a user ID) to assign by instead of a random one
+        HOLDOUT_SEED: 'velocity', // Change to reshuffle the groups
+        VITALS_ENDPOINT: null, // Receives Web Vitals batches via sendBeacon; off when null
+        VITALS_SAMPLE_RATE: 1, // Share of page loads that report (0-1)
+        VITALS_BATCH_SIZE: 10, // Page loads per beacon
+        VITALS_MAX_BATCH_AGE: 300000, // Send a partial batch once its oldest record is 5 minutes old
         VISUAL_FEEDBACK: false,
         DEBUG_MODE: false,
         CACHE_VERSION: '1.0.0',
@@ -19,8 +88,188 @@
             click: 10,
             hover: 5,
             touch: 7,
-            visible: 3
+            visible: 3,
+            eager: 6,
+            predicted: 4
+        },
+        // Next-page prediction from recorded page-to-page transitions
+        PREDICTION_ENABLED: true,
+        PREDICTION_MIN_CONFIDENCE: 0.3, // Share of transitions out of the current page
+        PREDICTION_MIN_SAMPLES: 3, // Decayed transition count needed before predicting
+        PREDICTION_MAX_PAGES: 2,
+        PREDICTION_HALF_LIFE: 604800000, // 7 days
+        PREDICTION_MAX_TARGETS: 20, // Transitions kept per page
+        // Overrides synced to velocity-worker.js, see CONFIGURABLE_KEYS there
+        SW_CONFIG: {}
+    };
+
+    // LRU/LFU eviction score, lower is evicted first. Also serialized into
+    // the cleanup worker, so it must stay self-contained.
+    const evictionScore = (entry) => entry.lastAccessed + (entry.accessCount * 86400000); // Boost frequently accessed
+
+    // Pick the lowest-scored entries until both the entry and byte budgets fit.
+    // Also serialized into the cleanup worker.
+    const selectEvictions = (entries, maxEntries, maxBytes) => {
+        let count = entries.length;
+        let bytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+        const evicted = [];
+
+        for (const entry of entries.slice().sort((a, b) => a.score - b.score)) {
+            if (count <= maxEntries && bytes <= maxBytes) break;
+            evicted.push(entry);
+            count--;
+            bytes -= entry.size;
+        }
+
+        return evicted;
+    };
+
+    // data-velocity modes: never prefetch, prefetch as soon as the link is in
+    // the document, only on hover/touch/click, or when visible (the default)
+    const LINK_MODES = ['off', 'eager', 'hover', 'visible'];
+    const INTENT_TRIGGERS = ['hover', 'touch', 'click'];
+
+    // GET links that commonly change state on the server. Skipped unless
+    // PREFETCH_DEFAULT_EXCLUDES is off; mirrored in velocity-worker.js.
+    const DEFAULT_EXCLUDE_RULES = [
+        /\/(log-?out|sign-?out|log-?off|sign-?off)(?:[/?.]|$)/i,
+        /\/(delete|remove|destroy|unsubscribe|cancel|revoke)(?:[/?.]|$)/i,
+        /\/cart\/(add|update|clear|empty)(?:[/?.]|$)/i,
+        /[?&](action|do|op|cmd|task)=(delete|remove|destroy|log-?out|sign-?out|unsubscribe|cancel)(?:&|$)/i,
+        /[?&](add-to-cart|remove_item|empty-cart)=/i,
+        /[?&](_?wpnonce|nonce|csrf_?token|_token)=/i
+    ];
+
+    // URL globs: * stays within a path segment, ** crosses segments and
+    // anything else is literal. Globs without a ? ignore the query string.
+    const globPatterns = new Map();
+    const globToRegExp = (glob) => {
+        if (!globPatterns.has(glob)) {
+            const source = glob
+                .split('**')
+                .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/?]*'))
+                .join('.*');
+            const query = glob.includes('?') ? '' : '(?:\\?.*)?';
+            globPatterns.set(glob, new RegExp(`^${source}${query}$`));
+        }
+        return globPatterns.get(glob);
+    };
+
+    // Per-trigger and per-reason tables. Overrides are merged into them, so
+    // setting one trigger keeps the defaults for the others.
+    const NESTED_CONFIG_KEYS = ['PRIORITY_WEIGHTS', 'TRIGGER_MIN_NETWORK', 'TRIGGER_BUDGETS', 'CANCELLED_PREFETCH_POLICY', 'SPECULATION_EAGERNESS'];
+
+    const mergeConfig = (base, overrides = {}) => {
+        const merged = { ...base, ...overrides };
+        for (const key of NESTED_CONFIG_KEYS) {
+            if (overrides[key] && typeof overrides[key] === 'object') {
+                merged[key] = { ...base[key], ...overrides[key] };
+            }
+        }
+        return merged;
+    };
+
+    // Page config keys the worker receives along with SW_CONFIG
+    const WORKER_SYNCED_KEYS = ['PREFETCH_INCLUDE', 'PREFETCH_EXCLUDE', 'PREFETCH_DEFAULT_EXCLUDES', 'ALLOWED_ORIGINS'];
+
+    const describeRule = (rule) => typeof rule === 'function' ? `${rule.name || 'anonymous'}()` : String(rule);
+
+    // Pointer trajectory: how often to sample, the slowest movement that still
+    // has a heading (px/ms), slack around link boxes (px), and how long a
+    // heading counts once the pointer stops confirming it (ms)
+    const TRAJECTORY_SAMPLE_INTERVAL = 50;
+    const TRAJECTORY_MIN_SPEED = 0.3;
+    const TRAJECTORY_TOLERANCE = 8;
+    const TRAJECTORY_TTL = 500;
+
+    // A head start needs the pointer to slow below this share of its peak speed
+    // on the approach (sweeps keep their pace), and covers at most this share
+    // of HOVER_INTENT_DELAY
+    const TRAJECTORY_DECELERATION = 0.6;
+    const MAX_HEAD_START_RATIO = 0.5;
+
+    // Distance along a unit heading from (x, y) to a rectangle, Infinity if the ray misses
+    const rayDistance = (x, y, dirX, dirY, rect) => {
+        let near = 0;
+        let far = Infinity;
+
+        for (const [origin, dir, min, max] of [[x, dirX, rect.left, rect.right], [y, dirY, rect.top, rect.bottom]]) {
+            if (dir === 0) {
+                if (origin < min || origin > max) return Infinity;
+                continue;
+            }
+
+            const t1 = (min - origin) / dir;
+            const t2 = (max - origin) / dir;
+            near = Math.max(near, Math.min(t1, t2));
+            far = Math.min(far, Math.max(t1, t2));
+            if (near > far) return Infinity;
         }
+
+        return near;
+    };
+
+    // Times a cancelled prefetch is put back in the queue before it is dropped
+    const MAX_PREFETCH_REQUEUES = 3;
+
+    // Aging never lifts a queued prefetch above a click
+    const MAX_AGED_PRIORITY = 10;
+
+    // Run background work in idle time, or after timeout ms at the latest.
+    // Without requestIdleCallback, a background-priority task is the closest thing.
+    const runWhenIdle = (callback, timeout) => {
+        if (typeof requestIdleCallback === 'function') {
+            requestIdleCallback(callback, { timeout });
+        } else if (typeof scheduler !== 'undefined' && typeof scheduler.postTask === 'function') {
+            scheduler.postTask(callback, { priority: 'background' }).catch(() => {});
+        } else {
+            setTimeout(callback, 1);
+        }
+    };
+
+    // Connection qualities from worst to best
+    const NETWORK_QUALITIES = ['save-data', 'slow', 'medium', 'fast'];
+
+    // Response headers kept with IndexedDB entries, enough to revalidate them
+    const STORED_RESPONSE_HEADERS = ['content-type', 'etag', 'last-modified', 'cache-control', 'expires', 'date'];
+
+    // Lifetime of a stored response whose headers don't give one, as in the worker
+    const DEFAULT_FRESHNESS_LIFETIME = 3600000;
+
+    // Bodies of these types are stored as text, anything else as a Blob
+    const TEXT_CONTENT_TYPE = /^text\/|[/+](json|xml|javascript)\b/i;
+
+    // FNV-1a, for stable experiment assignment
+    const hashString = (value) => {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    };
+
+    const EXPERIMENT_ID_KEY = 'velocity-experiment-id';
+
+    // Storage keys for Web Vitals: the clicked link's attribution, handed to
+    // the next page load, and the batch of records waiting to be sent
+    const VITALS_NAVIGATION_KEY = 'velocity-vitals-navigation';
+    const VITALS_QUEUE_KEY = 'velocity-vitals-queue';
+
+    // A cleanup pass that hasn't answered by then (e.g. its database open is
+    // blocked) no longer holds off the next one
+    const CLEANUP_STALE_AFTER = 60000;
+
+    // Merge service worker overrides one level deep so partial updates
+    // (e.g. a single timeout) keep the other values in the same group
+    const mergeWorkerConfig = (base = {}, overrides = {}) => {
+        const merged = { ...base };
+        for (const [key, value] of Object.entries(overrides)) {
+            merged[key] = value && typeof value === 'object' && !Array.isArray(value)
+                ? { ...base[key], ...value }
+                : value;
+        }
+        return merged;
     };
 
     // Load DOMPurify if available, otherwise use fallback
@@ -45,19 +294,55 @@
 
     class Velocity {
         constructor(userConfig = {}) {
-            this.config = { ...DEFAULT_CONFIG, ...userConfig };
+            this.config = mergeConfig(DEFAULT_CONFIG, userConfig);
             this.db = null;
             this.domPurify = null;
             this.prefetchQueue = new Map();
             this.prefetchedUrls = new Map(); // Store with metadata
             this.prerenderedUrls = new Set();
+            this.speculationCandidates = { prefetch: new Map(), prerender: new Map() };
+            this.speculationScript = null;
+            this.speculationRulesSupported = typeof HTMLScriptElement !== 'undefined' &&
+                typeof HTMLScriptElement.supports === 'function' &&
+                HTMLScriptElement.supports('speculationrules');
             this.isServiceWorkerReady = false;
+            this.swRegistration = null;
             this.broadcastChannel = null;
             this.performanceObserver = null;
             this.cleanupWorker = null;
+            this.cleanupWorkerUrl = null;
+            this.cleanupInProgress = false;
+            this.cleanupStartedAt = 0;
+            this.cleanupTimer = null;
             this.prefetchSemaphore = 0;
+            this.isPaused = false;
+            this.isDestroyed = false;
+            this.inFlightPrefetches = new Map(); // url -> { item, controller, reason }
+            this.linksByUrl = null; // Sanitized URL -> first link, see findLinkForUrl
+            this.idleRequested = false;
+            this.inIdlePeriod = false;
+            // Tells the worker which page wants a prefetch, so one tab's abort
+            // leaves a URL another tab still wants alone
+            this.requesterId = window.crypto?.randomUUID?.() || `${Date.now()}-${Math.random()}`;
+            this.schedulerStats = { started: 0, dropped: 0, peakDepth: 0, totalWait: 0, maxWait: 0 };
+            this.handlePageHide = this.handlePageHide.bind(this);
+            this.handleNavigate = this.handleNavigate.bind(this);
             this.urlAnalytics = new Map();
             this.intersectionObserver = null;
+            this.eventListeners = new Map();
+            this.networkInfo = { quality: 'unknown' };
+            this.handleConnectionChange = this.handleConnectionChange.bind(this);
+            this.handleSoftNavigationClick = this.handleSoftNavigationClick.bind(this);
+            this.handlePopState = this.handlePopState.bind(this);
+            this.currentDocumentUrl = null;
+            this.experimentGroup = this.assignExperimentGroup();
+            this.vitals = null;
+            this.vitalsObservers = [];
+            this.handleVitalsHidden = this.handleVitalsHidden.bind(this);
+            this.visibleLinks = new Set();
+            this.hoverIntent = { link: null, timer: null, approach: null, pointer: null, accepted: 0, cancelled: 0, headStarts: 0 };
+            this.handleMouseOut = this.handleMouseOut.bind(this);
+            this.handlePointerMove = this.handlePointerMove.bind(this);
             
             this.init();
         }
@@ -74,9 +359,16 @@
                     this.registerServiceWorker()
                 ]);
                 
+                this.syncServiceWorkerConfig();
+                this.syncExperimentGroup();
+                this.initNetworkMonitor();
                 this.initPerformanceObserver();
+                this.initVitals();
                 this.initIntersectionObserver();
                 this.attachEventListeners();
+                this.initSoftNavigation();
+                this.predictNextPages();
+                this.initCleanupWorker();
                 this.startCleanupScheduler();
                 this.showVisualFeedback('Velocity.js initialized');
                 
@@ -97,6 +389,154 @@
             console.error(`[Velocity] ${message}`, error);
         }
 
+        // Event emitter
+        on(eventName, handler) {
+            if (typeof handler !== 'function') return this;
+
+            if (!this.eventListeners.has(eventName)) {
+                this.eventListeners.set(eventName, new Set());
+            }
+            this.eventListeners.get(eventName).add(handler);
+            return this;
+        }
+
+        off(eventName, handler) {
+            const handlers = this.eventListeners.get(eventName);
+            if (!handlers) return this;
+
+            if (handler) {
+                // Handlers registered through once() are stored wrapped
+                handlers.forEach(registered => {
+                    if (registered === handler || registered.originalHandler === handler) {
+                        handlers.delete(registered);
+                    }
+                });
+            } else {
+                handlers.clear();
+            }
+
+            if (handlers.size === 0) {
+                this.eventListeners.delete(eventName);
+            }
+            return this;
+        }
+
+        once(eventName, handler) {
+            if (typeof handler !== 'function') return this;
+
+            const wrapper = (...args) => {
+                this.off(eventName, wrapper);
+                handler.apply(this, args);
+            };
+            wrapper.originalHandler = handler;
+            return this.on(eventName, wrapper);
+        }
+
+        emit(eventName, ...args) {
+            const handlers = this.eventListeners.get(eventName);
+            if (!handlers) return;
+
+            const payload = this.withExperimentGroup(args);
+
+            // Copy so handlers can unsubscribe while we iterate
+            Array.from(handlers).forEach(handler => {
+                try {
+                    handler.apply(this, payload);
+                } catch (error) {
+                    this.logError(`Listener for "${eventName}" failed:`, error);
+                }
+            });
+        }
+
+        // Every event ends in a details object; tag it with the experiment group
+        // without changing the arguments before it
+        withExperimentGroup(args) {
+            const last = args[args.length - 1];
+            if (!last || Object.getPrototypeOf(last) !== Object.prototype) return args;
+            return [...args.slice(0, -1), { ...last, group: this.experimentGroup }];
+        }
+
+        // 'holdout' or 'treatment', for tagging your own analytics
+        getExperimentGroup() {
+            return this.experimentGroup;
+        }
+
+        // Holdout experiment: 'holdout' sessions or users get no prefetching and
+        // a pass-through worker, everyone else is 'treatment'
+        assignExperimentGroup() {
+            const percentage = this.config.HOLDOUT_PERCENTAGE;
+            if (!(percentage > 0)) return 'treatment';
+
+            const id = this.config.HOLDOUT_ID || this.getExperimentUnitId();
+            if (!id) return 'treatment';
+
+            const bucket = hashString(`${this.config.HOLDOUT_SEED}:${id}`) % 10000;
+            return bucket < percentage * 100 ? 'holdout' : 'treatment';
+        }
+
+        // Random ID kept for the session (sessionStorage) or the user (localStorage)
+        getExperimentUnitId() {
+            try {
+                const storage = this.config.HOLDOUT_UNIT === 'user' ? localStorage : sessionStorage;
+                let id = storage.getItem(EXPERIMENT_ID_KEY);
+                if (!id) {
+                    id = window.crypto?.randomUUID?.() || `${Date.now()}-${Math.random()}`;
+                    storage.setItem(EXPERIMENT_ID_KEY, id);
+                }
+                return id;
+            } catch {
+                // Without storage the assignment could not stay stable
+                return null;
+            }
+        }
+
+        // The worker bypasses its caches for holdout clients
+        syncExperimentGroup() {
+            this.postExperimentMessage({ type: 'SET_EXPERIMENT_GROUP', group: this.experimentGroup, unit: this.config.HOLDOUT_UNIT });
+        }
+
+        // A navigation's request reaches the worker before the new page can report
+        // its group, so tell the worker which group the navigating tab is in
+        announceNavigation(url) {
+            if (!(this.config.HOLDOUT_PERCENTAGE > 0)) return;
+
+            let target;
+            try {
+                target = new URL(url, window.location.href);
+            } catch {
+                return;
+            }
+            if (target.origin !== window.location.origin) return;
+
+            this.postExperimentMessage({ type: 'NAVIGATION_GROUP', url: target.href, group: this.experimentGroup });
+        }
+
+        postExperimentMessage(message) {
+            const worker = navigator.serviceWorker?.controller || this.swRegistration?.active;
+            if (!worker) return;
+
+            try {
+                worker.postMessage(message);
+            } catch (error) {
+                this.logError('Failed to sync experiment group:', error);
+            }
+        }
+
+        // Navigation API: fires before the document is requested, for links,
+        // forms, script and history navigations alike
+        handleNavigate(event) {
+            if (event.hashChange || event.downloadRequest) return;
+            this.announceNavigation(event.destination.url);
+
+            // Once every listener has run, a navigation nobody intercepted or
+            // prevented is a document load: free the connection for it
+            const target = this.sanitizeUrl(event.destination.url);
+            setTimeout(() => {
+                if (event.defaultPrevented || window.navigation.transition) return;
+                this.cancelPrefetches('navigation', item => this.isLowPriority(item) && item.url !== target);
+            }, 0);
+        }
+
         // Initialize DOMPurify for robust sanitization
         async initDOMPurify() {
             this.domPurify = await loadDOMPurify();
@@ -134,6 +574,17 @@
                         store.createIndex('lastAccessed', 'lastAccessed', { unique: false });
                         store.createIndex('accessCount', 'accessCount', { unique: false });
                     }
+
+                    // v3: byte sizes, summed through a key cursor without loading bodies
+                    const contentStore = event.target.transaction.objectStore(this.config.STORE_NAME);
+                    if (!contentStore.indexNames.contains('size')) {
+                        contentStore.createIndex('size', 'size', { unique: false });
+                    }
+
+                    // v4: entries hold full responses, older ones only sanitized text
+                    if (event.oldVersion > 0 && event.oldVersion < 4) {
+                        contentStore.clear();
+                    }
                     
                     // Analytics store
                     if (!db.objectStoreNames.contains(this.config.ANALYTICS_STORE)) {
@@ -168,7 +619,7 @@
             }
 
             try {
-                const registration = await navigator.serviceWorker.register(this.config.SW_PATH, {
+                const registration = await navigator.serviceWorker.register(this.getServiceWorkerUrl(), {
                     scope: '/',
                     updateViaCache: 'imports'
                 });
@@ -185,7 +636,7 @@
                 });
 
                 // Wait for SW to be ready
-                await navigator.serviceWorker.ready;
+                this.swRegistration = await navigator.serviceWorker.ready;
                 this.isServiceWorkerReady = true;
                 
                 this.log('Service Worker registered and ready');
@@ -194,6 +645,116 @@
             }
         }
 
+        // The precache manifest is passed in the script URL so the worker
+        // can import it during its very first install
+        getServiceWorkerUrl() {
+            if (!this.config.PRECACHE_MANIFEST) return this.config.SW_PATH;
+
+            const url = new URL(this.config.SW_PATH, window.location.origin);
+            url.searchParams.set('precache', this.config.PRECACHE_MANIFEST);
+            return url.pathname + url.search;
+        }
+
+        // Push SW_CONFIG to the worker, which persists it across restarts.
+        // postMessage is used because it wakes a stopped worker.
+        syncServiceWorkerConfig() {
+            const worker = navigator.serviceWorker?.controller || this.swRegistration?.active;
+            if (!worker) return;
+
+            try {
+                worker.postMessage({
+                    type: 'UPDATE_CONFIG',
+                    config: {
+                        ...this.config.SW_CONFIG,
+                        PREFETCH_RULES: this.getWorkerUrlRules(),
+                        ALLOWED_ORIGINS: this.config.ALLOWED_ORIGINS
+                    },
+                    messageId: `config_${Date.now()}_${Math.random()}`
+                });
+                this.log('Service worker configuration synced');
+            } catch (error) {
+                this.logError('Failed to sync service worker configuration:', error);
+            }
+        }
+
+        // Network Information API monitoring
+        initNetworkMonitor() {
+            const connection = navigator.connection;
+            if (!connection) {
+                this.log('Network Information API not supported');
+                return;
+            }
+
+            this.updateNetworkInfo();
+            connection.addEventListener('change', this.handleConnectionChange);
+            this.log('Network monitor initialized:', this.networkInfo);
+        }
+
+        updateNetworkInfo() {
+            const { effectiveType, downlink, rtt, saveData } = navigator.connection;
+            let quality;
+
+            if (saveData) {
+                quality = 'save-data';
+            } else if (effectiveType === 'slow-2g' || effectiveType === '2g') {
+                quality = 'slow';
+            } else if (effectiveType === '3g' || rtt > 300 || downlink < 1.5) {
+                quality = 'medium';
+            } else {
+                quality = 'fast';
+            }
+
+            this.networkInfo = { effectiveType, downlink, rtt, saveData: !!saveData, quality };
+        }
+
+        handleConnectionChange() {
+            const previousQuality = this.networkInfo.quality;
+            this.updateNetworkInfo();
+
+            if (this.networkInfo.quality === previousQuality) return;
+
+            this.log(`Network changed: ${previousQuality} -> ${this.networkInfo.quality}`);
+            this.emit('network:change', { ...this.networkInfo, previousQuality });
+
+            // On a worse connection, stop low-priority work and anything it no longer allows
+            if (NETWORK_QUALITIES.indexOf(this.networkInfo.quality) < NETWORK_QUALITIES.indexOf(previousQuality)) {
+                this.cancelPrefetches('network', item => this.isLowPriority(item) || !this.isTriggerAllowed(item.trigger));
+            }
+
+            // Drop queued work the new connection no longer allows
+            for (const [url, item] of this.prefetchQueue) {
+                if (!this.isTriggerAllowed(item.trigger)) {
+                    this.prefetchQueue.delete(url);
+                    this.emit('prefetch:skipped', url, { reason: 'network', trigger: item.trigger });
+                }
+            }
+
+            this.processQueue();
+        }
+
+        // Gate speculative triggers by connection quality
+        isTriggerAllowed(trigger) {
+            const { quality } = this.networkInfo;
+            if (!this.config.ADAPTIVE_NETWORK || quality === 'unknown') return true;
+
+            const required = this.config.TRIGGER_MIN_NETWORK[trigger] || 'medium';
+            return NETWORK_QUALITIES.indexOf(quality) >= NETWORK_QUALITIES.indexOf(required);
+        }
+
+        getMaxConcurrency() {
+            if (!this.config.ADAPTIVE_NETWORK) return this.config.MAX_CONCURRENT_PREFETCH;
+
+            switch (this.networkInfo.quality) {
+                case 'fast':
+                    return Math.max(this.config.MAX_CONCURRENT_PREFETCH, this.config.MAX_CONCURRENT_PREFETCH_FAST);
+                case 'slow':
+                case 'save-data':
+                    return 1;
+                default:
+                    return this.config.MAX_CONCURRENT_PREFETCH;
+            }
+        }
+
         // Performance observer for resource timing
         initPerformanceObserver() {
             if ('PerformanceObserver' in window) {
@@ -230,8 +791,14 @@
             
             document.addEventListener('touchstart', this.handleTouchStart.bind(this), passiveOptions);
             document.addEventListener('mouseover', this.handleMouseOver.bind(this), passiveOptions);
+            document.addEventListener('mouseout', this.handleMouseOut, passiveOptions);
+            if (this.config.HOVER_TRAJECTORY && this.config.HOVER_INTENT_DELAY > 0) {
+                document.addEventListener('mousemove', this.handlePointerMove, passiveOptions);
+            }
             document.addEventListener('click', this.handleClick.bind(this), passiveOptions);
             document.addEventListener('visibilitychange', this.handleVisibilityChange.bind(this));
+            window.addEventListener('pagehide', this.handlePageHide);
+            window.navigation?.addEventListener('navigate', this.handleNavigate);
             
             // Observe all links for visibility
             this.observeLinks();
@@ -239,6 +806,7 @@
             // Re-observe when DOM changes
             if ('MutationObserver' in window) {
                 const mutationObserver = new MutationObserver(() => {
+                    this.linksByUrl = null;
                     this.observeLinks();
                 });
                 mutationObserver.observe(document.body, { 
@@ -256,6 +824,10 @@
                 if (!link.dataset.velocityCacheObserved) {
                     this.intersectionObserver.observe(link);
                     link.dataset.velocityCacheObserved = 'true';
+
+                    if (this.getLinkOptions(link).mode === 'eager') {
+                        this.prefetchLink(link, 'eager');
+                    }
                 }
             });
         }
@@ -263,8 +835,16 @@
         // Handle intersection events
         handleIntersection(entries) {
             entries.forEach(entry => {
+                // Candidates for pointer trajectory
+                if (entry.isIntersecting) {
+                    this.visibleLinks.add(entry.target);
+                } else {
+                    this.visibleLinks.delete(entry.target);
+                }
+
                 if (entry.isIntersecting && entry.target.href) {
-                    this.processLink(entry.target.href, 'visible', 1);
+                    const options = this.getLinkOptions(entry.target);
+                    this.processLink(entry.target.href, 'visible', options.priority ?? 1, options);
                 }
             });
         }
@@ -273,28 +853,150 @@
         handleTouchStart(event) {
             const link = this.findLinkElement(event.target);
             if (link) {
-                const priority = this.calculatePriority(link, 'touch');
-                this.processLink(link.href, 'touch', priority);
+                this.prefetchLink(link, 'touch');
             }
         }
 
+        // Hover prefetches once the pointer rests on a link for HOVER_INTENT_DELAY,
+        // so sweeping across a menu doesn't queue every item
         handleMouseOver(event) {
             const link = this.findLinkElement(event.target);
-            if (link) {
-                const priority = this.calculatePriority(link, 'hover');
-                this.processLink(link.href, 'hover', priority);
+            if (!link) return;
+
+            const delay = this.config.HOVER_INTENT_DELAY;
+            if (!delay) {
+                this.prefetchLink(link, 'hover');
+                return;
+            }
+
+            const intent = this.hoverIntent;
+            if (intent.link === link) return; // Moved onto one of the link's children
+
+            this.cancelHoverIntent();
+
+            // The link the pointer slowed down for has already used part of its delay
+            const now = performance.now();
+            const { approach } = intent;
+            const elapsed = approach?.link === link && approach.decelerating && now - approach.seen < TRAJECTORY_TTL
+                ? Math.min(now - approach.since, delay * MAX_HEAD_START_RATIO)
+                : 0;
+            if (elapsed > 0) intent.headStarts++;
+
+            intent.link = link;
+            intent.timer = setTimeout(() => {
+                intent.timer = null;
+                intent.accepted++;
+                this.prefetchLink(link, 'hover');
+            }, Math.max(0, delay - elapsed));
+        }
+
+        handleMouseOut(event) {
+            const { link } = this.hoverIntent;
+            if (!link || !link.contains(event.target)) return;
+
+            // Moving onto the link's own children is not leaving it
+            if (event.relatedTarget && link.contains(event.relatedTarget)) return;
+
+            this.cancelHoverIntent();
+        }
+
+        cancelHoverIntent() {
+            const intent = this.hoverIntent;
+            if (intent.timer) {
+                clearTimeout(intent.timer);
+                intent.cancelled++;
+            }
+            intent.timer = null;
+            intent.link = null;
+        }
+
+        // Follow the pointer's heading to the visible link it is moving toward
+        handlePointerMove(event) {
+            const intent = this.hoverIntent;
+            const now = performance.now();
+            const previous = intent.pointer;
+
+            if (previous && now - previous.time < TRAJECTORY_SAMPLE_INTERVAL) return;
+            intent.pointer = { x: event.clientX, y: event.clientY, time: now };
+            if (!previous) return;
+
+            const dx = event.clientX - previous.x;
+            const dy = event.clientY - previous.y;
+            const distance = Math.hypot(dx, dy);
+            const speed = distance / (now - previous.time);
+
+            // Too slow to have a heading, keep the last one until it expires.
+            // Slowing down this much is what aiming at it looks like.
+            if (speed < TRAJECTORY_MIN_SPEED) {
+                if (intent.approach) intent.approach.decelerating = true;
+                return;
+            }
+
+            const link = this.findApproachedLink(event.clientX, event.clientY, dx / distance, dy / distance);
+            const { approach } = intent;
+            if (!link) {
+                intent.approach = null;
+            } else if (approach?.link === link && now - approach.seen < TRAJECTORY_TTL) {
+                approach.seen = now;
+                approach.peakSpeed = Math.max(approach.peakSpeed, speed);
+                approach.decelerating = speed < approach.peakSpeed * TRAJECTORY_DECELERATION;
+            } else {
+                intent.approach = { link, since: now, seen: now, peakSpeed: speed, decelerating: false };
+            }
+        }
+
+        findApproachedLink(x, y, dirX, dirY) {
+            let closest = null;
+            let closestDistance = this.config.HOVER_TRAJECTORY_RANGE;
+
+            for (const link of this.visibleLinks) {
+                if (!link.isConnected) {
+                    this.visibleLinks.delete(link);
+                    continue;
+                }
+                if (link === this.hoverIntent.link) continue;
+
+                const rect = link.getBoundingClientRect();
+                const distance = rayDistance(x, y, dirX, dirY, {
+                    left: rect.left - TRAJECTORY_TOLERANCE,
+                    right: rect.right + TRAJECTORY_TOLERANCE,
+                    top: rect.top - TRAJECTORY_TOLERANCE,
+                    bottom: rect.bottom + TRAJECTORY_TOLERANCE
+                });
+
+                if (distance > 0 && distance <= closestDistance) {
+                    closest = link;
+                    closestDistance = distance;
+                }
             }
+
+            return closest;
         }
 
         handleClick(event) {
             const link = this.findLinkElement(event.target);
             if (link) {
-                const priority = this.calculatePriority(link, 'click');
-                this.processLink(link.href, 'click', priority);
+                // Without the Navigation API, link clicks are the navigations we can see
+                if (!window.navigation && this.isSameTabClick(event, link)) {
+                    this.announceNavigation(link.href);
+                }
+
+                this.prefetchLink(link, 'click');
                 this.updateAnalytics(link.href);
+                this.recordTransition(window.location.href, link.href);
+                this.recordVitalsNavigation(link.href);
             }
         }
 
+        isSameTabClick(event, link) {
+            return event.button === 0 && !event.metaKey && !event.ctrlKey && !event.shiftKey && !event.altKey &&
+                (!link.target || link.target === '_self') && !link.hasAttribute('download');
+        }
+
+        handlePageHide() {
+            this.cancelPrefetches('navigation', item => this.isLowPriority(item));
+        }
+
         handleVisibilityChange() {
             if (document.hidden) {
                 // Pause prefetching when tab is hidden
@@ -305,8 +1007,129 @@
             }
         }
 
+        // Queue a link with the priority and options from its attributes
+        prefetchLink(link, trigger) {
+            const options = this.getLinkOptions(link);
+            this.processLink(link.href, trigger, this.calculatePriority(link, trigger, options), options);
+        }
+
+        // Declarative per-link control. Each data-velocity attribute is
+        // inherited from the nearest ancestor that sets it, so containers can
+        // configure every link inside them.
+        getLinkOptions(link) {
+            const inherited = (name) => link.closest(`[${name}]`)?.getAttribute(name) ?? null;
+
+            const mode = inherited('data-velocity')?.trim().toLowerCase();
+            const priority = Number.parseFloat(inherited('data-velocity-priority'));
+            const prerender = inherited('data-velocity-prerender')?.trim().toLowerCase();
+
+            const options = {
+                mode: LINK_MODES.includes(mode) ? mode : null,
+                blockedBy: this.getLinkAttributeRule(link),
+                priority: Number.isFinite(priority) ? priority : null,
+                prerender: prerender === undefined ? null : prerender !== 'false',
+                strategy: inherited('data-velocity-strategy'),
+                cacheName: inherited('data-velocity-cache')
+            };
+
+            // Deny selectors beat attributes; allow selectors only restrict
+            // links that don't opt in explicitly
+            const { PREFETCH_ALLOW_SELECTORS: allow, PREFETCH_DENY_SELECTORS: deny } = this.config;
+            if (deny.length && this.matchesSelectors(link, deny)) {
+                options.mode = 'off';
+            } else if (allow.length && !options.mode && !this.matchesSelectors(link, allow)) {
+                options.mode = 'off';
+            }
+
+            return options;
+        }
+
+        // Links that don't open a page in this tab, or that authors asked
+        // crawlers not to follow
+        getLinkAttributeRule(link) {
+            if (link.hasAttribute('download')) return 'download';
+            if (link.target === '_blank') return 'target=_blank';
+            if (link.relList?.contains('nofollow')) return 'rel=nofollow';
+            return null;
+        }
+
+        // The rule keeping a URL from being prefetched, or null
+        getBlockingRule(url, linkOptions = {}) {
+            if (linkOptions.blockedBy) return linkOptions.blockedBy;
+
+            const parsed = new URL(url, window.location.origin);
+            const { PREFETCH_INCLUDE: include, PREFETCH_EXCLUDE: exclude } = this.config;
+            const excludes = this.config.PREFETCH_DEFAULT_EXCLUDES ? [...exclude, ...DEFAULT_EXCLUDE_RULES] : exclude;
+
+            const excluded = excludes.find(rule => this.matchesUrlRule(rule, parsed));
+            if (excluded) return `exclude ${describeRule(excluded)}`;
+
+            if (include.length && !include.some(rule => this.matchesUrlRule(rule, parsed))) {
+                return 'include';
+            }
+
+            return null;
+        }
+
+        matchesUrlRule(rule, url) {
+            try {
+                if (typeof rule === 'function') return Boolean(rule(url));
+
+                const target = url.pathname + url.search;
+                if (rule instanceof RegExp) {
+                    rule.lastIndex = 0;
+                    return rule.test(target);
+                }
+                if (typeof rule === 'string') return globToRegExp(rule).test(target);
+            } catch (error) {
+                this.logError(`URL rule ${describeRule(rule)} failed:`, error);
+            }
+            return false;
+        }
+
+        // Rules the worker applies to PREFETCH messages. Functions can't be
+        // cloned; an include list with one can't be enforced there at all.
+        getWorkerUrlRules() {
+            const { PREFETCH_INCLUDE: include, PREFETCH_EXCLUDE: exclude } = this.config;
+            const isFunction = (rule) => typeof rule === 'function';
+
+            return {
+                INCLUDE: include.some(isFunction) ? [] : include,
+                EXCLUDE: exclude.filter(rule => !isFunction(rule)),
+                DEFAULT_EXCLUDES: this.config.PREFETCH_DEFAULT_EXCLUDES
+            };
+        }
+
+        matchesSelectors(element, selectors) {
+            return selectors.some(selector => {
+                try {
+                    return element.closest(selector) !== null;
+                } catch (error) {
+                    this.logError(`Invalid selector ${selector}:`, error);
+                    return false;
+                }
+            });
+        }
+
+        // First link in the document pointing at a URL, for attribute lookups.
+        // The index is rebuilt on the first lookup after the DOM changes.
+        findLinkForUrl(url) {
+            if (!this.linksByUrl) {
+                this.linksByUrl = new Map();
+                for (const link of document.links) {
+                    const key = this.sanitizeUrl(link.href);
+                    if (!this.linksByUrl.has(key)) this.linksByUrl.set(key, link);
+                }
+            }
+
+            const link = this.linksByUrl.get(url);
+            return link?.isConnected ? link : null;
+        }
+
         // Smart priority calculation
-        calculatePriority(linkElement, trigger) {
+        calculatePriority(linkElement, trigger, options = this.getLinkOptions(linkElement)) {
+            if (options.priority !== null) return options.priority;
+
             let priority = this.config.PRIORITY_WEIGHTS[trigger] || 1;
             
             // Boost priority based on element properties
@@ -324,24 +1147,58 @@
         }
 
         // Enhanced link processing with queue management
-        async processLink(url, trigger, priority = 1) {
-            if (!this.isValidUrl(url)) return;
+        async processLink(url, trigger, priority = 1, linkOptions = {}) {
+            if (!this.isValidUrl(url)) {
+                this.emit('prefetch:skipped', url, { reason: 'invalid-url', trigger });
+                return;
+            }
 
             const sanitizedUrl = this.sanitizeUrl(url);
+
+            const rule = this.getBlockingRule(sanitizedUrl, linkOptions);
+            if (rule) {
+                this.log(`Skipped ${sanitizedUrl}: blocked by ${rule}`);
+                this.emit('prefetch:skipped', sanitizedUrl, { reason: 'rule', rule, trigger });
+                return;
+            }
+
+            // Opted out, or a hover-only link seen without hover intent
+            if (linkOptions.mode === 'off' || (linkOptions.mode === 'hover' && !INTENT_TRIGGERS.includes(trigger))) {
+                this.log(`Skipped ${sanitizedUrl}: data-velocity="${linkOptions.mode}" or a deny selector`);
+                this.emit('prefetch:skipped', sanitizedUrl, { reason: 'opt-out', trigger });
+                return;
+            }
+
+            if (!this.isTriggerAllowed(trigger)) {
+                this.emit('prefetch:skipped', sanitizedUrl, { reason: 'network', trigger });
+                return;
+            }
+
             const existing = this.prefetchedUrls.get(sanitizedUrl);
             
             if (existing && existing.priority >= priority) {
+                this.emit('prefetch:skipped', sanitizedUrl, { reason: 'already-prefetched', trigger });
                 return; // Already processed with higher or equal priority
             }
 
+            // The control group records everything but never prefetches
+            if (this.experimentGroup === 'holdout') {
+                this.emit('prefetch:skipped', sanitizedUrl, { reason: 'holdout', trigger });
+                return;
+            }
+
             try {
                 // Add to queue with priority
-                this.prefetchQueue.set(sanitizedUrl, {
+                const queued = this.enqueuePrefetch({
                     url: sanitizedUrl,
                     trigger,
                     priority,
+                    prerender: linkOptions.prerender ?? null,
+                    strategy: linkOptions.strategy || null,
+                    cacheName: linkOptions.cacheName || null,
                     timestamp: Date.now()
                 });
+                if (!queued) return;
 
                 // Process queue
                 await this.processQueue();
@@ -352,82 +1209,292 @@
             }
         }
 
-        // Smart queue processing with concurrency control
-        async processQueue() {
-            if (this.prefetchSemaphore >= this.config.MAX_CONCURRENT_PREFETCH) {
-                return; // Too many concurrent requests
+        // Add a prefetch to the queue, or raise one already queued. A full queue
+        // makes room by dropping its lowest-ranked item, if that ranks below this one.
+        enqueuePrefetch(item) {
+            const queued = this.prefetchQueue.get(item.url);
+            if (queued) {
+                // Keep its place in line, and the higher priority
+                if (item.priority > queued.priority) {
+                    this.prefetchQueue.set(item.url, { ...item, timestamp: queued.timestamp });
+                }
+                return true;
             }
 
-            // Sort queue by priority
-            const sortedQueue = Array.from(this.prefetchQueue.entries())
-                .sort(([,a], [,b]) => b.priority - a.priority);
-
-            for (const [url, item] of sortedQueue.slice(0, this.config.MAX_CONCURRENT_PREFETCH)) {
-                if (this.prefetchSemaphore >= this.config.MAX_CONCURRENT_PREFETCH) break;
-                
-                this.prefetchSemaphore++;
-                this.prefetchQueue.delete(url);
-                
-                this.prefetchResource(item)
-                    .finally(() => {
-                        this.prefetchSemaphore--;
-                    });
+            if (this.prefetchQueue.size >= this.config.MAX_QUEUE_SIZE) {
+                const lowest = this.rankQueue().pop();
+                if (!lowest || this.getEffectivePriority(lowest) >= item.priority) {
+                    this.dropQueued(item);
+                    return false;
+                }
+                this.prefetchQueue.delete(lowest.url);
+                this.dropQueued(lowest);
             }
+
+            this.prefetchQueue.set(item.url, item);
+            this.schedulerStats.peakDepth = Math.max(this.schedulerStats.peakDepth, this.prefetchQueue.size);
+            return true;
         }
 
-        // Enhanced prefetching with better error handling
-        async prefetchResource(item) {
-            const { url, trigger, priority } = item;
-            
-            try {
-                // Check if already prefetched recently
-                const existing = this.prefetchedUrls.get(url);
-                if (existing && (Date.now() - existing.timestamp) < 60000) {
-                    return;
-                }
+        dropQueued(item) {
+            this.schedulerStats.dropped++;
+            this.log(`Queue full, dropped ${item.url}`);
+            this.emit('prefetch:skipped', item.url, { reason: 'queue-full', trigger: item.trigger });
+        }
 
-                const startTime = performance.now();
+        // Priority plus one per PRIORITY_AGING_INTERVAL spent waiting, so a steady
+        // stream of new links can't starve older ones
+        getEffectivePriority(item, now = Date.now()) {
+            const interval = this.config.PRIORITY_AGING_INTERVAL;
+            if (!interval || item.priority >= MAX_AGED_PRIORITY) return item.priority;
 
-                // Parallel prefetch strategies
-                const promises = [];
+            const aged = item.priority + Math.floor((now - item.timestamp) / interval);
+            return Math.min(aged, MAX_AGED_PRIORITY);
+        }
 
-                // Native browser prefetch
-                promises.push(this.nativePrefetch(url));
+        // Queued items, highest effective priority first, oldest first on ties
+        rankQueue() {
+            const now = Date.now();
+            return Array.from(this.prefetchQueue.values())
+                .map(item => ({ item, rank: this.getEffectivePriority(item, now) }))
+                .sort((a, b) => b.rank - a.rank || a.item.timestamp - b.item.timestamp)
+                .map(({ item }) => item);
+        }
 
-                // Service Worker prefetch via BroadcastChannel
-                if (this.broadcastChannel && this.isServiceWorkerReady) {
-                    promises.push(this.serviceWorkerPrefetch(url, priority));
-                }
+        hasTriggerBudget(trigger) {
+            const budget = this.config.TRIGGER_BUDGETS[trigger];
+            if (budget === undefined) return true;
 
-                await Promise.allSettled(promises);
+            let inFlight = 0;
+            for (const entry of this.inFlightPrefetches.values()) {
+                if (entry.item.trigger === trigger) inFlight++;
+            }
+            return inFlight < budget;
+        }
 
-                // Store metadata
-                this.prefetchedUrls.set(url, {
-                    timestamp: Date.now(),
-                    trigger,
+        // Start queued prefetches while slots are free. Runs again whenever a
+        // prefetch settles, so the queue drains without new links coming in.
+        async processQueue() {
+            if (this.isPaused || this.isDestroyed) return;
+
+            const maxConcurrent = this.getMaxConcurrency();
+
+            for (const item of this.rankQueue()) {
+                if (!this.hasTriggerBudget(item.trigger)) continue;
+
+                // Low-priority work waits in the queue, not in a slot, until idle time
+                if (this.isLowPriority(item) && !this.inIdlePeriod) {
+                    this.requestIdleProcessing();
+                    continue;
+                }
+
+                if (this.prefetchSemaphore >= maxConcurrent) {
+                    // Too many concurrent requests, unless low-priority work can make room
+                    this.preemptFor(item);
+                    break;
+                }
+
+                this.startPrefetch(item);
+            }
+        }
+
+        // Process the queue once more in idle time, letting low-priority items start
+        requestIdleProcessing() {
+            if (this.idleRequested) return;
+            this.idleRequested = true;
+
+            runWhenIdle(() => {
+                this.idleRequested = false;
+                if (this.isDestroyed) return;
+                this.inIdlePeriod = true;
+                try {
+                    this.processQueue();
+                } finally {
+                    this.inIdlePeriod = false;
+                }
+            }, this.config.IDLE_PREFETCH_TIMEOUT);
+        }
+
+        startPrefetch(item) {
+            const { url } = item;
+            const wait = Date.now() - item.timestamp;
+
+            this.prefetchSemaphore++;
+            this.prefetchQueue.delete(url);
+            this.schedulerStats.started++;
+            this.schedulerStats.totalWait += wait;
+            this.schedulerStats.maxWait = Math.max(this.schedulerStats.maxWait, wait);
+
+            const entry = { item, controller: new AbortController(), reason: null };
+            this.inFlightPrefetches.set(url, entry);
+
+            this.emit('prefetch:start', url, { trigger: item.trigger, priority: item.priority, wait });
+            this.prefetchResource(item, entry.controller.signal).finally(() => {
+                this.prefetchSemaphore--;
+                if (this.inFlightPrefetches.get(url) === entry) this.inFlightPrefetches.delete(url);
+
+                // Hand the slot to the next queued item
+                this.processQueue();
+            });
+        }
+
+        getSchedulerStats() {
+            const now = Date.now();
+            const { started, dropped, peakDepth, totalWait, maxWait } = this.schedulerStats;
+            const byTrigger = {};
+
+            const count = (trigger, key) => {
+                byTrigger[trigger] = byTrigger[trigger] || { queued: 0, inFlight: 0, budget: this.config.TRIGGER_BUDGETS[trigger] ?? null };
+                byTrigger[trigger][key]++;
+            };
+            this.prefetchQueue.forEach(item => count(item.trigger, 'queued'));
+            this.inFlightPrefetches.forEach(({ item }) => count(item.trigger, 'inFlight'));
+
+            let oldestWait = 0;
+            this.prefetchQueue.forEach(item => {
+                oldestWait = Math.max(oldestWait, now - item.timestamp);
+            });
+
+            return {
+                depth: this.prefetchQueue.size,
+                peakDepth,
+                maxDepth: this.config.MAX_QUEUE_SIZE,
+                inFlight: this.inFlightPrefetches.size,
+                slots: this.getMaxConcurrency(),
+                paused: this.isPaused,
+                started,
+                dropped,
+                avgWait: started > 0 ? Math.round(totalWait / started) : null,
+                maxWait,
+                oldestWait,
+                byTrigger
+            };
+        }
+
+        isLowPriority(item) {
+            return item.priority < this.config.LOW_PRIORITY_THRESHOLD;
+        }
+
+        // Abort in-flight prefetches matching a filter. prefetchResource then
+        // requeues or drops each one per CANCELLED_PREFETCH_POLICY.
+        cancelPrefetches(reason, shouldCancel) {
+            let cancelled = 0;
+
+            for (const entry of this.inFlightPrefetches.values()) {
+                if (entry.reason || !shouldCancel(entry.item)) continue;
+
+                entry.reason = reason;
+                entry.controller.abort(new DOMException(`Prefetch cancelled (${reason})`, 'AbortError'));
+                cancelled++;
+            }
+
+            if (cancelled > 0) this.log(`Cancelled ${cancelled} prefetch(es): ${reason}`);
+            return cancelled;
+        }
+
+        // Free the slot of the lowest-priority low-priority prefetch ranked below item
+        preemptFor(item) {
+            let lowest = null;
+
+            for (const entry of this.inFlightPrefetches.values()) {
+                if (entry.reason || !this.isLowPriority(entry.item) || entry.item.priority >= item.priority) continue;
+                if (!lowest || entry.item.priority < lowest.item.priority) lowest = entry;
+            }
+
+            if (lowest) {
+                this.cancelPrefetches('preempted', candidate => candidate === lowest.item);
+            }
+        }
+
+        handleCancelledPrefetch(item, reason) {
+            const policy = this.config.CANCELLED_PREFETCH_POLICY[reason] || 'drop';
+            const requeues = item.requeues || 0;
+            const requeued = policy === 'requeue' && requeues < MAX_PREFETCH_REQUEUES &&
+                this.isTriggerAllowed(item.trigger) &&
+                this.enqueuePrefetch({ ...item, requeues: requeues + 1 }); // Keeps its enqueue time, and the aging
+
+            this.emit('prefetch:cancelled', item.url, { reason, requeued, trigger: item.trigger, priority: item.priority });
+        }
+
+        // Enhanced prefetching with better error handling
+        async prefetchResource(item, signal) {
+            const { url, trigger, priority, prerender, strategy, cacheName } = item;
+            
+            try {
+                // Check if already prefetched recently
+                const existing = this.prefetchedUrls.get(url);
+                if (existing && (Date.now() - existing.timestamp) < 60000) {
+                    this.emit('prefetch:skipped', url, { reason: 'recently-prefetched', trigger });
+                    return;
+                }
+
+                const startTime = performance.now();
+
+                // Parallel prefetch strategies
+                const promises = [];
+
+                // Native browser prefetch, through Speculation Rules where supported
+                promises.push(this.speculationRulesSupported
+                    ? this.speculationPrefetch(url, priority, signal)
+                    : this.nativePrefetch(url, signal));
+
+                // Service Worker prefetch, unless the link asks the worker not to cache
+                if (this.broadcastChannel && this.isServiceWorkerReady && strategy !== 'network-only') {
+                    promises.push(this.serviceWorkerPrefetch(url, priority, { strategy, cacheName, signal }));
+                }
+
+                const results = await Promise.allSettled(promises);
+                signal?.throwIfAborted();
+
+                // Only give up when every strategy failed
+                const failures = results.filter(result => result.status === 'rejected');
+                if (failures.length === results.length) {
+                    throw failures[0].reason;
+                }
+
+                // Store metadata
+                this.prefetchedUrls.set(url, {
+                    timestamp: Date.now(),
+                    trigger,
                     priority,
                     loadTime: performance.now() - startTime
                 });
 
                 // Store in IndexedDB
-                await this.storeInCache(url, trigger, priority);
+                await this.storeInCache(url, trigger, priority, signal);
+                signal?.throwIfAborted();
 
-                // Prerender high-priority resources
-                if (priority >= 8) {
-                    this.prerenderPage(url);
+                // Prerender high-priority resources, or whatever data-velocity-prerender says.
+                // Browsers only prerender other origins that opt in, so stay on ours.
+                if ((prerender ?? (priority >= 8)) && new URL(url).origin === window.location.origin) {
+                    this.prerenderPage(url, Math.max(priority, 8));
                 }
 
                 this.showVisualFeedback(`Prefetched: ${url}`);
+                this.emit('prefetch:complete', url, true, { trigger, priority });
                 
             } catch (error) {
+                if (signal?.aborted) {
+                    this.handleCancelledPrefetch(item, this.inFlightPrefetches.get(url)?.reason);
+                    return;
+                }
+
                 this.logError(`Prefetch failed for ${url}:`, error);
+                this.emit('prefetch:error', url, error?.message || String(error), { trigger, priority });
+                this.emit('prefetch:complete', url, false, { trigger, priority });
             }
         }
 
         // Native browser prefetch
-        async nativePrefetch(url) {
+        async nativePrefetch(url, signal) {
             return new Promise((resolve, reject) => {
                 const link = document.createElement('link');
+
+                // Removing the element is the only way to stop a <link> prefetch
+                signal?.addEventListener('abort', () => {
+                    reject(signal.reason);
+                    link.remove();
+                }, { once: true });
                 link.rel = 'prefetch';
                 link.href = url;
                 link.as = 'document';
@@ -454,40 +1521,160 @@
             });
         }
 
-        // Service worker prefetch via BroadcastChannel
-        async serviceWorkerPrefetch(url, priority) {
-            if (!this.broadcastChannel) {
-                throw new Error('BroadcastChannel not available');
+        // Prefetch through the document's speculation rules
+        // Removing the rule stops a prefetch the browser has not finished
+        async speculationPrefetch(url, priority, signal) {
+            this.addSpeculationCandidate('prefetch', url, priority, this.config.SPECULATION_PREFETCH_TTL);
+            signal?.addEventListener('abort', () => this.removeSpeculationCandidate('prefetch', url), { once: true });
+        }
+
+        getSpeculationEagerness(priority) {
+            const thresholds = this.config.SPECULATION_EAGERNESS;
+
+            if (priority >= thresholds.immediate) return 'immediate';
+            if (priority >= thresholds.eager) return 'eager';
+            if (priority >= thresholds.moderate) return 'moderate';
+            return 'conservative';
+        }
+
+        // Track a speculation candidate until it expires
+        addSpeculationCandidate(action, url, priority, ttl) {
+            const candidates = this.speculationCandidates[action];
+            const eagerness = this.getSpeculationEagerness(priority);
+            const existing = candidates.get(url);
+
+            if (existing) {
+                clearTimeout(existing.timer);
+            } else if (action === 'prerender' && candidates.size >= this.config.MAX_PRERENDERS) {
+                // Map keeps insertion order, so the first key is the oldest prerender
+                this.removeSpeculationCandidate(action, candidates.keys().next().value, false);
+            }
+
+            candidates.set(url, {
+                eagerness: existing && existing.priority > priority ? existing.eagerness : eagerness,
+                priority: Math.max(priority, existing?.priority || 0),
+                timer: setTimeout(() => this.removeSpeculationCandidate(action, url), ttl)
+            });
+
+            this.renderSpeculationRules();
+        }
+
+        removeSpeculationCandidate(action, url, render = true) {
+            const candidate = this.speculationCandidates[action].get(url);
+            if (!candidate) return;
+
+            clearTimeout(candidate.timer);
+            this.speculationCandidates[action].delete(url);
+            if (action === 'prerender') {
+                this.prerenderedUrls.delete(url);
+            }
+
+            if (render) {
+                this.renderSpeculationRules();
+            }
+        }
+
+        // Browsers ignore edits to an inserted rules script, so replace it
+        renderSpeculationRules() {
+            const rules = {};
+
+            for (const [action, candidates] of Object.entries(this.speculationCandidates)) {
+                const groups = new Map();
+                candidates.forEach(({ eagerness }, url) => {
+                    if (!groups.has(eagerness)) groups.set(eagerness, []);
+                    groups.get(eagerness).push(url);
+                });
+
+                if (groups.size > 0) {
+                    rules[action] = Array.from(groups, ([eagerness, urls]) => ({
+                        source: 'list',
+                        urls,
+                        eagerness
+                    }));
+                }
+            }
+
+            this.speculationScript?.remove();
+            this.speculationScript = null;
+
+            if (Object.keys(rules).length === 0) return;
+
+            const script = document.createElement('script');
+            script.type = 'speculationrules';
+            script.textContent = JSON.stringify(rules);
+            document.head.appendChild(script);
+            this.speculationScript = script;
+        }
+
+        // Service worker prefetch
+        // Strategy and cache come from data-velocity-strategy / data-velocity-cache
+        async serviceWorkerPrefetch(url, priority, { strategy = null, cacheName = null, signal } = {}) {
+            const abortInWorker = () => {
+                this.sendWorkerCommand('ABORT_PREFETCH', { url, requester: this.requesterId }).catch(() => {});
+            };
+            signal?.addEventListener('abort', abortInWorker, { once: true });
+
+            try {
+                await this.sendWorkerCommand('PREFETCH', { url, priority, strategy, cacheName, requester: this.requesterId }, this.config.PREFETCH_TIMEOUT, signal);
+            } finally {
+                signal?.removeEventListener('abort', abortInWorker);
+            }
+        }
+
+        // Send a command to the service worker and resolve with its reply.
+        // Direct messages wake a stopped worker; replies come back over the
+        // BroadcastChannel and client messaging, whichever arrives first.
+        sendWorkerCommand(type, payload = {}, timeout = this.config.SW_COMMAND_TIMEOUT, signal) {
+            const worker = navigator.serviceWorker?.controller || this.swRegistration?.active;
+            if (!worker && !this.broadcastChannel) {
+                return Promise.reject(new Error('Service worker not available'));
+            }
+            if (signal?.aborted) {
+                return Promise.reject(signal.reason);
             }
 
             return new Promise((resolve, reject) => {
-                const messageId = `prefetch_${Date.now()}_${Math.random()}`;
-                
-                const timeout = setTimeout(() => {
-                    reject(new Error('SW prefetch timeout'));
-                }, this.config.PREFETCH_TIMEOUT);
+                const messageId = `${type.toLowerCase()}_${Date.now()}_${Math.random()}`;
+
+                const cleanup = () => {
+                    clearTimeout(timer);
+                    this.broadcastChannel?.removeEventListener('message', handleResponse);
+                    navigator.serviceWorker?.removeEventListener('message', handleResponse);
+                    signal?.removeEventListener('abort', handleAbort);
+                };
+
+                // Stop waiting; cancelling the work itself is up to the caller
+                const handleAbort = () => {
+                    cleanup();
+                    reject(signal.reason);
+                };
+                signal?.addEventListener('abort', handleAbort, { once: true });
+
+                const timer = setTimeout(() => {
+                    cleanup();
+                    reject(new Error(`Service worker ${type} timed out`));
+                }, timeout);
 
                 const handleResponse = (event) => {
-                    if (event.data.messageId === messageId) {
-                        clearTimeout(timeout);
-                        this.broadcastChannel.removeEventListener('message', handleResponse);
-                        
-                        if (event.data.success) {
-                            resolve();
-                        } else {
-                            reject(new Error(event.data.error || 'SW prefetch failed'));
-                        }
+                    if (event.data?.messageId !== messageId) return;
+                    cleanup();
+
+                    if (event.data.success === false) {
+                        reject(new Error(event.data.message || `Service worker ${type} failed`));
+                    } else {
+                        resolve(event.data);
                     }
                 };
 
-                this.broadcastChannel.addEventListener('message', handleResponse);
-                
-                this.broadcastChannel.postMessage({
-                    type: 'PREFETCH',
-                    url,
-                    priority,
-                    messageId
-                });
+                this.broadcastChannel?.addEventListener('message', handleResponse);
+                navigator.serviceWorker?.addEventListener('message', handleResponse);
+
+                try {
+                    (worker || this.broadcastChannel).postMessage({ type, ...payload, messageId });
+                } catch (error) {
+                    cleanup();
+                    reject(error);
+                }
             });
         }
 
@@ -518,11 +1705,12 @@
         }
 
 // Enhanced cache storage with LRU eviction - FIXED VERSION
-async storeInCache(url, trigger, priority) {
+async storeInCache(url, trigger, priority, signal) {
     if (!this.db) return;
 
     try {
-        const content = await this.fetchAndSanitizeContent(url);
+        const response = await this.fetchResponseForCache(url, signal);
+        if (!response) return;
         
         const cacheEntry = {
             url,
@@ -531,7 +1719,7 @@ async storeInCache(url, trigger, priority) {
             accessCount: 1,
             trigger,
             priority,
-            content,
+            ...response,
             version: this.config.CACHE_VERSION
         };
 
@@ -562,6 +1750,8 @@ async storeInCache(url, trigger, priority) {
             };
         });
 
+        this.emit('cache:stored', url, { trigger, priority });
+
         await this.cleanupOldEntries();
     } catch (error) {
         this.logError('Failed to store in cache:', error);
@@ -571,14 +1761,27 @@ async storeInCache(url, trigger, priority) {
         // LRU-based cleanup with background processing
         async cleanupOldEntries() {
             if (!this.db) return;
+            // One pass at a time, unless the running one is stuck
+            if (this.cleanupWorker && this.cleanupInProgress) {
+                if (Date.now() - this.cleanupStartedAt < CLEANUP_STALE_AFTER) return;
+                this.logError('Background cleanup did not finish, starting another pass');
+            }
+
+            // Measure before opening the cleanup transaction, awaiting anything
+            // other than IndexedDB requests would let it auto-commit
+            const { maxBytes, storedBytes } = await this.getIndexedDBBudget();
 
             // Use Web Worker for cleanup if available
             if (this.cleanupWorker) {
+                this.cleanupInProgress = true;
+                this.cleanupStartedAt = Date.now();
                 this.cleanupWorker.postMessage({
                     type: 'CLEANUP',
                     dbName: this.config.DB_NAME,
                     storeName: this.config.STORE_NAME,
-                    maxEntries: this.config.MAX_CACHED_LINKS
+                    maxEntries: this.config.MAX_CACHED_LINKS,
+                    maxBytes,
+                    storedBytes
                 });
                 return;
             }
@@ -586,14 +1789,14 @@ async storeInCache(url, trigger, priority) {
             // Fallback to main thread cleanup
             try {
                 const transaction = this.db.transaction([this.config.STORE_NAME], 'readwrite');
-                const store = transaction.objectStore(DEFAULT_CONFIG.STORE_NAME);
+                const store = transaction.objectStore(this.config.STORE_NAME);
                 
                 const countRequest = store.count();
                 const count = await new Promise((resolve) => {
                     countRequest.onsuccess = () => resolve(countRequest.result);
                 });
 
-                if (count > this.config.MAX_CACHED_LINKS) {
+                if (count > this.config.MAX_CACHED_LINKS || storedBytes > maxBytes) {
                     // Get entries sorted by LRU (least recently accessed + lowest access count)
                     const entries = await new Promise((resolve) => {
                         const results = [];
@@ -604,9 +1807,8 @@ async storeInCache(url, trigger, priority) {
                             if (cursor) {
                                 results.push({
                                     url: cursor.value.url,
-                                    lastAccessed: cursor.value.lastAccessed,
-                                    accessCount: cursor.value.accessCount,
-                                    score: cursor.value.lastAccessed + (cursor.value.accessCount * 86400000) // Boost frequently accessed
+                                    size: cursor.value.size || 0,
+                                    score: evictionScore(cursor.value)
                                 });
                                 cursor.continue();
                             } else {
@@ -615,46 +1817,188 @@ async storeInCache(url, trigger, priority) {
                         };
                     });
 
-                    // Sort by LRU score and remove oldest
-                    entries.sort((a, b) => a.score - b.score);
-                    const toDelete = entries.slice(0, count - this.config.MAX_CACHED_LINKS);
+                    // Remove the lowest-scored entries until both budgets fit
+                    const toDelete = selectEvictions(entries, this.config.MAX_CACHED_LINKS, maxBytes);
 
                     for (const entry of toDelete) {
                         store.delete(entry.url);
                     }
 
                     this.log(`Cleaned up ${toDelete.length} old cache entries`);
+                    this.emit('cache:evicted', toDelete.map(entry => entry.url), { count: toDelete.length });
                 }
             } catch (error) {
                 this.logError('Cleanup failed:', error);
             }
         }
 
+        async getStorageEstimate() {
+            if (!navigator.storage?.estimate) return null;
+
+            try {
+                return await navigator.storage.estimate();
+            } catch (error) {
+                this.log('Storage estimate unavailable:', error);
+                return null;
+            }
+        }
+
+        // Sum stored body sizes from the size index without reading the bodies
+        async getStoredBytes() {
+            if (!this.db) return 0;
+
+            const transaction = this.db.transaction([this.config.STORE_NAME], 'readonly');
+            const store = transaction.objectStore(this.config.STORE_NAME);
+            if (!store.indexNames.contains('size')) return 0;
+
+            return new Promise((resolve, reject) => {
+                let total = 0;
+                const request = store.index('size').openKeyCursor();
+
+                request.onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (cursor) {
+                        total += cursor.key;
+                        cursor.continue();
+                    } else {
+                        resolve(total);
+                    }
+                };
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        // Byte budget for the IndexedDB store, shrunk when the origin nears its quota
+        async getIndexedDBBudget() {
+            let maxBytes = this.config.MAX_CACHED_BYTES;
+            let storedBytes = 0;
+
+            try {
+                const [estimate, bytes] = await Promise.all([this.getStorageEstimate(), this.getStoredBytes()]);
+                storedBytes = bytes;
+
+                if (estimate && estimate.quota) {
+                    const allowed = estimate.quota * Math.min(this.config.STORAGE_QUOTA_RATIO, 1);
+                    const overQuota = estimate.usage - allowed;
+                    if (overQuota > 0) {
+                        maxBytes = Math.min(maxBytes, Math.max(0, storedBytes - overQuota));
+                    }
+                }
+            } catch (error) {
+                this.logError('Failed to measure storage:', error);
+            }
+
+            return { maxBytes, storedBytes };
+        }
+
         // Initialize cleanup web worker
         initCleanupWorker() {
-            if ('Worker' in window) {
-                try {
-                    const workerCode = `
-                        self.onmessage = function(e) {
-                            if (e.data.type === 'CLEANUP') {
-                                // Implement IndexedDB cleanup in worker
-                                // This is a simplified version - full implementation would mirror main thread logic
-                                self.postMessage({ type: 'CLEANUP_COMPLETE', success: true });
+            if (!this.config.CLEANUP_IN_WORKER || !('Worker' in window)) return;
+
+            try {
+                // Same scoring as the main thread fallback
+                const workerCode = `
+                    const evictionScore = ${evictionScore.toString()};
+                    const selectEvictions = ${selectEvictions.toString()};
+
+                    self.onmessage = function(e) {
+                        if (e.data.type !== 'CLEANUP') return;
+
+                        const { dbName, storeName, maxEntries, maxBytes, storedBytes } = e.data;
+                        const fail = (error) => self.postMessage({
+                            type: 'CLEANUP_ERROR',
+                            error: String(error && error.message || error)
+                        });
+
+                        // Open without a version so we never trigger an upgrade
+                        const request = indexedDB.open(dbName);
+                        request.onerror = () => fail(request.error);
+                        request.onsuccess = () => {
+                            const db = request.result;
+                            const removed = [];
+                            let transaction;
+
+                            try {
+                                transaction = db.transaction([storeName], 'readwrite');
+                            } catch (error) {
+                                db.close();
+                                fail(error);
+                                return;
                             }
+
+                            const store = transaction.objectStore(storeName);
+                            const countRequest = store.count();
+
+                            countRequest.onsuccess = () => {
+                                if (countRequest.result <= maxEntries && storedBytes <= maxBytes) return;
+
+                                const entries = [];
+                                store.openCursor().onsuccess = (event) => {
+                                    const cursor = event.target.result;
+                                    if (cursor) {
+                                        entries.push({
+                                            url: cursor.value.url,
+                                            size: cursor.value.size || 0,
+                                            score: evictionScore(cursor.value)
+                                        });
+                                        cursor.continue();
+                                        return;
+                                    }
+
+                                    selectEvictions(entries, maxEntries, maxBytes).forEach(entry => {
+                                        store.delete(entry.url);
+                                        removed.push(entry.url);
+                                    });
+                                };
+                            };
+
+                            transaction.oncomplete = () => {
+                                db.close();
+                                self.postMessage({ type: 'CLEANUP_COMPLETE', removed: removed.length, urls: removed });
+                            };
+                            transaction.onabort = () => {
+                                db.close();
+                                fail(transaction.error || 'Cleanup transaction aborted');
+                            };
                         };
-                    `;
-                    
-                    const blob = new Blob([workerCode], { type: 'application/javascript' });
-                    this.cleanupWorker = new Worker(URL.createObjectURL(blob));
-                    
-                    this.cleanupWorker.onmessage = (e) => {
-                        if (e.data.type === 'CLEANUP_COMPLETE') {
-                            this.log('Background cleanup completed');
-                        }
                     };
-                } catch (error) {
-                    this.logError('Failed to create cleanup worker:', error);
-                }
+                `;
+                
+                const blob = new Blob([workerCode], { type: 'application/javascript' });
+                this.cleanupWorkerUrl = URL.createObjectURL(blob);
+                this.cleanupWorker = new Worker(this.cleanupWorkerUrl);
+                
+                this.cleanupWorker.onmessage = (e) => {
+                    this.cleanupInProgress = false;
+
+                    if (e.data.type === 'CLEANUP_COMPLETE') {
+                        this.log(`Background cleanup removed ${e.data.removed} entries`);
+                        if (e.data.removed > 0) {
+                            this.emit('cache:evicted', e.data.urls, { count: e.data.removed });
+                        }
+                    } else if (e.data.type === 'CLEANUP_ERROR') {
+                        this.logError('Background cleanup failed:', e.data.error);
+                    }
+                };
+
+                // Blocked or crashed workers (e.g. a CSP without blob: in worker-src)
+                // hand cleanup back to the main thread
+                this.cleanupWorker.onerror = (event) => {
+                    event.preventDefault?.();
+                    this.logError('Cleanup worker unavailable, using main thread:', event.message);
+                    this.cleanupWorker.terminate();
+                    this.cleanupWorker = null;
+
+                    if (this.cleanupInProgress) {
+                        this.cleanupInProgress = false;
+                        this.cleanupOldEntries();
+                    }
+                };
+
+                this.log('Cleanup worker initialized');
+            } catch (error) {
+                this.cleanupWorker = null;
+                this.logError('Failed to create cleanup worker:', error);
             }
         }
         async clearCache(){
@@ -697,13 +2041,10 @@ async storeInCache(url, trigger, priority) {
                     }
                 };
 
-                // Also notify service worker
-                if (this.broadcastChannel) {
-                    this.broadcastChannel.postMessage({
-                        type: 'INVALIDATE_CACHE',
-                        pattern: urlPattern.toString()
-                    });
-                }
+                // Also invalidate the service worker caches
+                this.invalidate(urlPattern).catch(error => {
+                    this.log('Service worker invalidation failed:', error.message);
+                });
             } catch (error) {
                 this.logError('Cache invalidation failed:', error);
             }
@@ -761,6 +2102,257 @@ async storeInCache(url, trigger, priority) {
             }
         }
 
+        // Web Vitals: one record per sampled page load, sent in batches
+        initVitals() {
+            if (!this.config.VITALS_ENDPOINT || !('PerformanceObserver' in window)) return;
+            if (!navigator.sendBeacon) {
+                this.log('sendBeacon not supported, Web Vitals disabled');
+                return;
+            }
+
+            // Earlier pages may have left a batch that is due
+            this.flushVitals();
+
+            if (Math.random() >= this.config.VITALS_SAMPLE_RATE) return;
+
+            const [navigation] = performance.getEntriesByType('navigation');
+            this.vitals = {
+                id: this.createVitalsId(),
+                navigation,
+                activationStart: navigation?.activationStart || 0,
+                attribution: this.getNavigationAttribution(navigation),
+                lcp: null,
+                cls: 0,
+                clsWindow: { value: 0, start: 0, last: 0 },
+                interactions: new Map(),
+                lastReported: null
+            };
+
+            // Soft navigations have no LCP of their own, and only count what
+            // happened after them
+            this.observeVitals('largest-contentful-paint', entry => {
+                if (this.vitals.soft) return;
+                this.vitals.lcp = Math.max(0, entry.startTime - this.vitals.activationStart);
+            });
+            this.observeVitals('layout-shift', entry => this.addLayoutShift(entry));
+            this.observeVitals('event', entry => {
+                if (!entry.interactionId || (this.vitals.soft && entry.startTime < this.vitals.activationStart)) return;
+                const longest = this.vitals.interactions.get(entry.interactionId) || 0;
+                this.vitals.interactions.set(entry.interactionId, Math.max(longest, entry.duration));
+            }, { durationThreshold: 40 });
+
+            document.addEventListener('visibilitychange', this.handleVitalsHidden);
+            window.addEventListener('pagehide', this.handleVitalsHidden);
+            this.log('Web Vitals reporting enabled');
+        }
+
+        // Identifies a page load's record across the reports sent for it
+        createVitalsId() {
+            return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        }
+
+        observeVitals(type, handler, options = {}) {
+            if (!PerformanceObserver.supportedEntryTypes?.includes(type)) return;
+
+            try {
+                const observer = new PerformanceObserver(list => list.getEntries().forEach(handler));
+                observer.observe({ type, buffered: true, ...options });
+                this.vitalsObservers.push({ observer, handler });
+            } catch (error) {
+                this.logError(`Observing ${type} failed:`, error);
+            }
+        }
+
+        // CLS: the largest session window of shifts (1s gaps, 5s max)
+        addLayoutShift(entry) {
+            if (entry.hadRecentInput || (this.vitals.soft && entry.startTime < this.vitals.activationStart)) return;
+
+            const current = this.vitals.clsWindow;
+            if (current.value && entry.startTime - current.last < 1000 && entry.startTime - current.start < 5000) {
+                current.value += entry.value;
+            } else {
+                current.value = entry.value;
+                current.start = entry.startTime;
+            }
+            current.last = entry.startTime;
+            this.vitals.cls = Math.max(this.vitals.cls, current.value);
+        }
+
+        // INP: the longest interaction, ignoring one outlier per 50 interactions
+        getInteractionToNextPaint() {
+            const durations = Array.from(this.vitals.interactions.values()).sort((a, b) => b - a);
+            if (durations.length === 0) return null;
+
+            return durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+        }
+
+        // Where this page load came from, and which trigger prefetched it
+        getNavigationAttribution(navigation) {
+            let handoff = null;
+            try {
+                handoff = JSON.parse(sessionStorage.getItem(VITALS_NAVIGATION_KEY));
+                sessionStorage.removeItem(VITALS_NAVIGATION_KEY);
+            } catch {
+                // Storage unavailable, attribute by timing only
+            }
+
+            const isCurrentPage = handoff?.url === this.sanitizeUrl(window.location.href) &&
+                Date.now() - handoff.timestamp < 30000 &&
+                navigation?.type === 'navigate';
+
+            // The service worker tags responses it served from its caches
+            const velocityTiming = navigation?.serverTiming?.find(timing => timing.name === 'velocity');
+
+            let source = 'network';
+            if (navigation?.activationStart > 0) {
+                source = 'prerender';
+            } else if (navigation?.deliveryType === 'navigational-prefetch') {
+                source = 'prefetch';
+            } else if (velocityTiming) {
+                source = 'sw-cache';
+            } else if (navigation?.deliveryType === 'cache' || (navigation?.transferSize === 0 && navigation?.decodedBodySize > 0)) {
+                source = 'http-cache';
+            }
+
+            return {
+                source,
+                prefetched: Boolean(isCurrentPage && handoff.prefetched),
+                trigger: isCurrentPage ? handoff.trigger : null
+            };
+        }
+
+        // Remember how the clicked link was prefetched, for the next page's report
+        recordVitalsNavigation(url) {
+            if (!this.config.VITALS_ENDPOINT || !this.isValidUrl(url)) return;
+
+            const sanitizedUrl = this.sanitizeUrl(url);
+            const prefetched = this.prefetchedUrls.get(sanitizedUrl);
+
+            try {
+                sessionStorage.setItem(VITALS_NAVIGATION_KEY, JSON.stringify({
+                    url: sanitizedUrl,
+                    prefetched: Boolean(prefetched),
+                    trigger: prefetched?.trigger || null,
+                    timestamp: Date.now()
+                }));
+            } catch {
+                // Storage full or blocked, the report just loses attribution
+            }
+        }
+
+        handleVitalsHidden(event) {
+            if (event.type === 'visibilitychange' && document.visibilityState !== 'hidden') return;
+            this.finishVitalsRecord();
+        }
+
+        // Report the current page's record each time the page is hidden. The
+        // observers keep running, since INP and CLS can still grow if the user
+        // comes back; a later report is only sent when a metric changed.
+        finishVitalsRecord() {
+            if (!this.vitals) return;
+
+            // Entries still waiting for their observer callback
+            this.vitalsObservers.forEach(({ observer, handler }) => observer.takeRecords().forEach(handler));
+
+            const record = this.buildVitalsRecord();
+            const metrics = JSON.stringify(record.metrics);
+            if (metrics === this.vitals.lastReported) return;
+
+            this.vitals.lastReported = metrics;
+            this.emit('vitals:report', record);
+            this.queueVitalsRecord(record);
+            this.flushVitals();
+        }
+
+        // A soft navigation gets a record of its own, timed from the click: ttfb is
+        // when the document was in hand and load when it was swapped in
+        startSoftNavigationVitals(url, source, startTime, responseTime) {
+            if (!this.vitals) return;
+
+            const prefetched = this.prefetchedUrls.get(this.sanitizeUrl(url));
+            this.vitals = {
+                id: this.createVitalsId(),
+                navigation: null,
+                soft: { ttfb: responseTime - startTime, load: performance.now() - startTime },
+                activationStart: startTime,
+                attribution: { source, prefetched: Boolean(prefetched), trigger: prefetched?.trigger || null },
+                lcp: null,
+                cls: 0,
+                clsWindow: { value: 0, start: 0, last: 0 },
+                interactions: new Map(),
+                lastReported: null
+            };
+        }
+
+        buildVitalsRecord() {
+            const { navigation, activationStart, attribution, soft } = this.vitals;
+            const relative = (time) => time > 0 ? Math.max(0, time - activationStart) : null;
+            const fcp = performance.getEntriesByName('first-contentful-paint')[0];
+
+            return {
+                id: this.vitals.id,
+                url: this.sanitizeUrl(window.location.href),
+                timestamp: Date.now(),
+                navigationType: soft ? 'soft' : navigation?.type || null,
+                ...attribution,
+                connection: this.networkInfo.quality,
+                group: this.experimentGroup,
+                metrics: {
+                    ttfb: soft ? soft.ttfb : relative(navigation?.responseStart),
+                    fcp: fcp && !soft ? relative(fcp.startTime) : null,
+                    lcp: this.vitals.lcp,
+                    cls: this.vitals.cls,
+                    inp: this.getInteractionToNextPaint(),
+                    domContentLoaded: relative(navigation?.domContentLoadedEventEnd),
+                    load: soft ? soft.load : relative(navigation?.loadEventEnd)
+                }
+            };
+        }
+
+        queueVitalsRecord(record) {
+            try {
+                const queue = JSON.parse(localStorage.getItem(VITALS_QUEUE_KEY)) || [];
+                // A newer report of a page load not sent yet replaces the older one,
+                // keeping its place and age in the batch
+                const queued = queue.findIndex(entry => entry.id === record.id);
+                if (queued === -1) {
+                    queue.push(record);
+                } else {
+                    queue[queued] = { ...record, timestamp: queue[queued].timestamp };
+                }
+                localStorage.setItem(VITALS_QUEUE_KEY, JSON.stringify(queue));
+            } catch {
+                // Without storage there is nothing to batch with, send it alone
+                this.sendVitals([record]);
+            }
+        }
+
+        // Send the queued batch once it is full or its oldest record is due
+        flushVitals() {
+            try {
+                const queue = JSON.parse(localStorage.getItem(VITALS_QUEUE_KEY)) || [];
+                if (queue.length === 0) return;
+
+                const isFull = queue.length >= this.config.VITALS_BATCH_SIZE;
+                const isDue = Date.now() - queue[0].timestamp >= this.config.VITALS_MAX_BATCH_AGE;
+                if (!isFull && !isDue) return;
+
+                // Keep the batch if the browser refused to queue the beacon
+                if (this.sendVitals(queue)) {
+                    localStorage.removeItem(VITALS_QUEUE_KEY);
+                }
+            } catch (error) {
+                this.logError('Failed to flush Web Vitals:', error);
+            }
+        }
+
+        sendVitals(records) {
+            // A string body is sent as text/plain, which needs no CORS preflight
+            const sent = navigator.sendBeacon(this.config.VITALS_ENDPOINT, JSON.stringify({ records }));
+            this.log(`Web Vitals batch of ${records.length} ${sent ? 'sent' : 'refused'}`);
+            return sent;
+        }
+
         // Broadcast message handler
         handleBroadcastMessage(event) {
             const { type, data } = event.data;
@@ -772,6 +2364,39 @@ async storeInCache(url, trigger, priority) {
                 case 'CACHE_UPDATED':
                     this.log('Cache updated:', data.url);
                     break;
+                case 'CACHE_UPDATE':
+                    this.emit('cache:update', event.data.url, { action: event.data.action });
+                    break;
+                case 'CACHE_HIT':
+                    this.emit('cache:hit', event.data.url, { cacheName: event.data.cacheName });
+                    break;
+                case 'CACHE_MISS':
+                    this.emit('cache:miss', event.data.url, { cacheName: event.data.cacheName });
+                    break;
+                case 'CACHE_FALLBACK':
+                    this.emit('cache:fallback', event.data.url, { cacheName: event.data.cacheName });
+                    break;
+                case 'OUTBOX_QUEUED':
+                    this.emit('outbox:queued', event.data.url, { id: event.data.id, method: event.data.method });
+                    break;
+                case 'OUTBOX_REPLAYED':
+                    this.emit('outbox:replayed', event.data.url, {
+                        id: event.data.id,
+                        method: event.data.method,
+                        status: event.data.status
+                    });
+                    break;
+                case 'OUTBOX_FAILED':
+                    this.emit('outbox:failed', event.data.url, {
+                        id: event.data.id,
+                        method: event.data.method,
+                        status: event.data.status,
+                        reason: event.data.reason
+                    });
+                    break;
+                case 'PRECACHE_UPDATED':
+                    this.emit('precache:updated', { updated: event.data.updated, total: event.data.total });
+                    break;
                 case 'ERROR':
                     this.logError('SW error:', data.error);
                     break;
@@ -780,18 +2405,21 @@ async storeInCache(url, trigger, priority) {
 
         // Cleanup scheduler
         startCleanupScheduler() {
-            setInterval(() => {
+            this.cleanupTimer = setInterval(() => {
                 this.cleanupOldEntries();
             }, this.config.CLEANUP_INTERVAL);
         }
 
         // Pause/resume functionality
+        // Queued work waits; in-flight low-priority work is cancelled
         pausePrefetching() {
             this.isPaused = true;
+            this.cancelPrefetches('hidden', item => this.isLowPriority(item));
             this.log('Prefetching paused');
         }
 
         resumePrefetching() {
+            if (this.isDestroyed) return;
             this.isPaused = false;
             this.processQueue(); // Process any queued items
             this.log('Prefetching resumed');
@@ -803,17 +2431,36 @@ async storeInCache(url, trigger, priority) {
 
             try {
                 const transaction = this.db.transaction([this.config.STORE_NAME], 'readonly');
-                const store = transaction.objectStore(DEFAULT_CONFIG.STORE_NAME);
+                const store = transaction.objectStore(this.config.STORE_NAME);
                 
                 const count = await new Promise((resolve) => {
                     const request = store.count();
                     request.onsuccess = () => resolve(request.result);
                 });
+                const [estimate, storedBytes] = await Promise.all([
+                    this.getStorageEstimate(),
+                    this.getStoredBytes()
+                ]);
 
                 return {
                     totalEntries: count,
+                    group: this.experimentGroup,
+                    storage: {
+                        indexedDBBytes: storedBytes,
+                        maxBytes: this.config.MAX_CACHED_BYTES,
+                        usage: estimate?.usage ?? null,
+                        quota: estimate?.quota ?? null
+                    },
                     prefetchedUrls: this.prefetchedUrls.size,
                     queueSize: this.prefetchQueue.size,
+                    inFlight: this.inFlightPrefetches.size,
+                    scheduler: this.getSchedulerStats(),
+                    hoverIntent: {
+                        accepted: this.hoverIntent.accepted,
+                        cancelled: this.hoverIntent.cancelled,
+                        headStarts: this.hoverIntent.headStarts
+                    },
+                    network: { ...this.networkInfo, maxConcurrent: this.getMaxConcurrency() },
                     analytics: Object.fromEntries(this.urlAnalytics)
                 };
             } catch (error) {
@@ -822,9 +2469,54 @@ async storeInCache(url, trigger, priority) {
             }
         }
 
+        // Service worker commands, all resolving with the worker's reply
+        async getServiceWorkerStats() {
+            const { stats, metrics, urlMetrics, storage, performance } = await this.sendWorkerCommand('GET_CACHE_STATS');
+            return { caches: stats, metrics, urls: urlMetrics, storage, performance };
+        }
+
+        async forceRefresh(url) {
+            if (!this.isValidUrl(url)) {
+                throw new Error(`Invalid URL: ${url}`);
+            }
+
+            const sanitizedUrl = this.sanitizeUrl(url);
+            const { message } = await this.sendWorkerCommand('FORCE_REFRESH', { url: sanitizedUrl });
+            return { url: sanitizedUrl, message };
+        }
+
+        async runCleanup() {
+            const { message } = await this.sendWorkerCommand('CLEANUP_CACHE');
+            return { message };
+        }
+
+        // Remove worker cache entries whose URL matches a RegExp or regex string
+        async invalidate(pattern) {
+            const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern);
+            const { invalidated } = await this.sendWorkerCommand('INVALIDATE_CACHE', {
+                pattern: regex.source,
+                flags: regex.flags
+            });
+            return { invalidated };
+        }
+
+        async getOfflinePages() {
+            const { pages } = await this.sendWorkerCommand('GET_OFFLINE_PAGES');
+            return pages;
+        }
+
         // Update configuration
         updateConfig(newConfig) {
-            this.config = { ...this.config, ...newConfig };
+            const previousWorkerConfig = this.config.SW_CONFIG;
+            this.config = mergeConfig(this.config, newConfig);
+
+            if (newConfig.SW_CONFIG) {
+                this.config.SW_CONFIG = mergeWorkerConfig(previousWorkerConfig, newConfig.SW_CONFIG);
+            }
+            if (newConfig.SW_CONFIG || WORKER_SYNCED_KEYS.some(key => key in newConfig)) {
+                this.syncServiceWorkerConfig();
+            }
+
             this.log('Configuration updated:', newConfig);
         }
 
@@ -835,11 +2527,247 @@ async storeInCache(url, trigger, priority) {
             this.performanceObserver?.disconnect();
             this.intersectionObserver?.disconnect();
             this.cleanupWorker?.terminate();
+            if (this.cleanupWorkerUrl) URL.revokeObjectURL(this.cleanupWorkerUrl);
+            clearInterval(this.cleanupTimer);
+            navigator.connection?.removeEventListener('change', this.handleConnectionChange);
+            Object.values(this.speculationCandidates).forEach(candidates => {
+                candidates.forEach(({ timer }) => clearTimeout(timer));
+                candidates.clear();
+            });
+            this.speculationScript?.remove();
+            document.removeEventListener('click', this.handleSoftNavigationClick);
+            window.removeEventListener('pagehide', this.handlePageHide);
+            window.navigation?.removeEventListener('navigate', this.handleNavigate);
+            // Empty the queue first: every cancelled prefetch settles by
+            // processing the queue again
+            this.isDestroyed = true;
+            this.isPaused = true;
+            this.prefetchQueue.clear();
+            this.cancelPrefetches('destroyed', () => true);
+            document.removeEventListener('mouseout', this.handleMouseOut, true);
+            document.removeEventListener('mousemove', this.handlePointerMove, true);
+            this.cancelHoverIntent();
+            this.visibleLinks.clear();
+            document.removeEventListener('visibilitychange', this.handleVitalsHidden);
+            window.removeEventListener('pagehide', this.handleVitalsHidden);
+            this.vitalsObservers.forEach(({ observer }) => observer.disconnect());
+            window.removeEventListener('popstate', this.handlePopState);
             this.db?.close();
+            this.eventListeners.clear();
             
             this.log('Velocity destroyed');
         }
 
+        // Soft navigation: render prefetched documents without a full page load
+        initSoftNavigation() {
+            if (!this.config.SOFT_NAVIGATION) return;
+            if (!('DOMParser' in window) || !window.history?.pushState) {
+                this.log('Soft navigation not supported');
+                return;
+            }
+
+            // We restore scroll positions ourselves on popstate
+            history.scrollRestoration = 'manual';
+            history.replaceState({ ...history.state, velocitySoftNav: true, scrollY: window.scrollY }, '');
+            this.currentDocumentUrl = this.sanitizeUrl(window.location.href);
+
+            // Not passive: we need preventDefault, and bubbling lets app handlers go first
+            document.addEventListener('click', this.handleSoftNavigationClick);
+            window.addEventListener('popstate', this.handlePopState);
+            this.log('Soft navigation enabled');
+        }
+
+        handleSoftNavigationClick(event) {
+            if (event.defaultPrevented || event.button !== 0) return;
+            if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+            const link = this.findLinkElement(event.target);
+            if (!link || !this.isSoftNavigable(link)) return;
+
+            // Only links we already prefetched, everything else navigates normally
+            if (!this.prefetchedUrls.has(this.sanitizeUrl(link.href))) return;
+
+            event.preventDefault();
+            this.saveScrollPosition();
+            this.softNavigate(link.href, { push: true });
+        }
+
+        handlePopState(event) {
+            if (!event.state?.velocitySoftNav) return;
+
+            // Hash-only history entries stay on the rendered document
+            if (this.sanitizeUrl(window.location.href) === this.currentDocumentUrl) return;
+
+            this.softNavigate(window.location.href, { push: false, scrollY: event.state.scrollY || 0 });
+        }
+
+        isSoftNavigable(link) {
+            if (link.target && link.target !== '_self') return false;
+            if (link.hasAttribute('download')) return false;
+            if (link.origin !== window.location.origin) return false;
+            if (this.getLinkOptions(link).mode === 'off') return false;
+
+            // Same-page anchors keep their native behaviour
+            if (link.hash && link.pathname === window.location.pathname && link.search === window.location.search) {
+                return false;
+            }
+
+            return this.isValidUrl(link.href);
+        }
+
+        saveScrollPosition() {
+            history.replaceState({ ...history.state, velocitySoftNav: true, scrollY: window.scrollY }, '');
+        }
+
+        async softNavigate(url, { push = true, scrollY = 0 } = {}) {
+            this.emit('navigation:start', url, { soft: true });
+            const startTime = performance.now();
+
+            try {
+                const { response, source } = await this.getNavigationResponse(url);
+                const responseTime = performance.now();
+                const contentType = response?.headers.get('Content-Type') || '';
+                if (!response || !response.ok || !contentType.includes('text/html')) {
+                    throw new Error('No usable cached document');
+                }
+
+                const html = await response.text();
+                const newDocument = new DOMParser().parseFromString(html, 'text/html');
+                const finalUrl = response.redirected && response.url ? response.url : url;
+
+                // The current page's Web Vitals record ends here
+                this.finishVitalsRecord();
+
+                const swap = () => {
+                    // Update the URL first so relative URLs in the new content resolve against it
+                    if (push) {
+                        history.pushState({ velocitySoftNav: true, scrollY: 0 }, '', finalUrl);
+                    }
+                    this.swapDocument(newDocument);
+                    this.currentDocumentUrl = this.sanitizeUrl(finalUrl);
+                    this.restoreScroll(finalUrl, scrollY);
+                };
+
+                if (this.config.VIEW_TRANSITIONS && typeof document.startViewTransition === 'function') {
+                    await document.startViewTransition(swap).updateCallbackDone;
+                } else {
+                    swap();
+                }
+
+                this.startSoftNavigationVitals(finalUrl, source, startTime, responseTime);
+                this.log('Soft navigation completed:', finalUrl);
+                this.emit('navigation:complete', finalUrl, { soft: true });
+                this.predictNextPages();
+            } catch (error) {
+                this.log('Soft navigation failed, falling back to a full load:', error);
+                this.emit('navigation:fallback', url, { reason: error.message });
+
+                if (push) {
+                    window.location.assign(url);
+                } else {
+                    window.location.reload();
+                }
+            }
+        }
+
+        // Prefer our stored responses, then Cache Storage, then the network
+        // (which may hit the HTTP cache). Stored copies are used only while
+        // fresh. Documents are same-origin and are rendered as-is, scripts
+        // included, exactly like a full navigation. Resolves with
+        // { response, source }, source as in Web Vitals records.
+        async getNavigationResponse(url) {
+            const stored = await this.getCachedResponse(url, { freshOnly: true });
+            if (stored) return { response: stored, source: 'velocity-cache' };
+
+            if ('caches' in window) {
+                const cached = await caches.match(url);
+                const cachedAt = parseInt(cached?.headers.get('X-VelocityCache-Timestamp'), 10);
+                if (cached && this.isResponseFresh(cached.headers, cachedAt)) {
+                    return { response: cached, source: 'sw-cache' };
+                }
+            }
+
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), this.config.PREFETCH_TIMEOUT);
+
+            try {
+                const response = await fetch(url, {
+                    credentials: 'same-origin',
+                    signal: controller.signal,
+                    headers: { Accept: 'text/html' }
+                });
+                return { response, source: 'network' };
+            } finally {
+                clearTimeout(timeoutId);
+            }
+        }
+
+        swapDocument(newDocument) {
+            const loadedScripts = new Set(Array.from(document.scripts, script => script.src).filter(Boolean));
+
+            document.title = newDocument.title;
+            this.mergeHead(newDocument.head, loadedScripts);
+
+            // Swap the body's content rather than the element, so observers stay attached
+            Array.from(document.body.attributes).forEach(attr => document.body.removeAttribute(attr.name));
+            Array.from(newDocument.body.attributes).forEach(attr => document.body.setAttribute(attr.name, attr.value));
+            document.body.replaceChildren(...Array.from(newDocument.body.childNodes, node => document.adoptNode(node)));
+
+            this.runScripts(document.body, loadedScripts);
+        }
+
+        // Add new head elements and replace page metadata; stylesheets and
+        // scripts already on the page are kept as they are
+        mergeHead(newHead, loadedScripts) {
+            const current = new Set(Array.from(document.head.children, element => element.outerHTML));
+            document.head.querySelectorAll('meta[name], meta[property]').forEach(meta => meta.remove());
+
+            for (const element of Array.from(newHead.children)) {
+                if (element.tagName === 'TITLE') continue;
+
+                const isMeta = element.tagName === 'META' && (element.name || element.getAttribute('property'));
+                if (!isMeta && current.has(element.outerHTML)) continue;
+
+                if (element.tagName === 'SCRIPT') {
+                    if (element.src && loadedScripts.has(element.src)) continue;
+                    document.head.appendChild(this.cloneScript(element));
+                } else {
+                    document.head.appendChild(document.importNode(element, true));
+                }
+            }
+        }
+
+        // Parsed scripts are inert; recreate them so the browser runs them
+        runScripts(container, loadedScripts) {
+            container.querySelectorAll('script').forEach(script => {
+                if (script.src && loadedScripts.has(script.src)) return;
+                script.replaceWith(this.cloneScript(script));
+            });
+        }
+
+        cloneScript(script) {
+            const clone = document.createElement('script');
+            Array.from(script.attributes).forEach(attr => clone.setAttribute(attr.name, attr.value));
+            clone.textContent = script.textContent;
+
+            // Keep document order for external scripts unless they asked for async
+            if (script.src && !script.hasAttribute('async')) {
+                clone.async = false;
+            }
+            return clone;
+        }
+
+        restoreScroll(url, scrollY) {
+            const { hash } = new URL(url, window.location.origin);
+            const target = hash && document.getElementById(decodeURIComponent(hash.slice(1)));
+
+            if (target) {
+                target.scrollIntoView();
+            } else {
+                window.scrollTo(0, scrollY);
+            }
+        }
+
         // Utility methods (keeping existing implementations but enhanced)
         findLinkElement(element) {
             while (element && element !== document) {
@@ -854,8 +2782,10 @@ async storeInCache(url, trigger, priority) {
         isValidUrl(url) {
             try {
                 const parsed = new URL(url, window.location.origin);
-                return parsed.origin === window.location.origin && 
-                       parsed.protocol === window.location.protocol &&
+                const allowed = parsed.origin === window.location.origin
+                    ? parsed.protocol === window.location.protocol
+                    : this.isAllowedOrigin(parsed.origin);
+                return allowed &&
                        !url.includes('javascript:') &&
                        !url.includes('data:') &&
                        !url.includes('blob:') &&
@@ -865,32 +2795,65 @@ async storeInCache(url, trigger, priority) {
             }
         }
 
+        isAllowedOrigin(origin) {
+            return this.config.ALLOWED_ORIGINS.some(entry => {
+                try {
+                    const parsed = new URL(typeof entry === 'string' ? entry : entry.origin);
+                    return parsed.origin === origin && /^https?:$/.test(parsed.protocol);
+                } catch {
+                    return false;
+                }
+            });
+        }
+
         sanitizeUrl(url) {
             const parsed = new URL(url, window.location.origin);
             // Remove potential XSS vectors and normalize
             return parsed.href.replace(/[<>"'`]/g, '').split('#')[0];
         }
 
-        async fetchAndSanitizeContent(url) {
+        // Fetch a URL into a storable record: raw body plus status and headers.
+        // Content is sanitized when rendered, see renderCachedContent
+        async fetchResponseForCache(url, signal) {
             try {
                 const controller = new AbortController();
                 const timeoutId = setTimeout(() => controller.abort(), this.config.PREFETCH_TIMEOUT);
+                signal?.addEventListener('abort', () => controller.abort(), { once: true });
                 
+                // Other origins get a simple CORS request, a custom header would
+                // need a preflight they may not allow
+                const sameOrigin = new URL(url, window.location.origin).origin === window.location.origin;
                 const response = await fetch(url, { 
                     method: 'GET',
+                    mode: 'cors',
                     credentials: 'same-origin',
                     signal: controller.signal,
-                    headers: {
-                        'Cache-Control': 'no-cache'
-                    }
+                    headers: sameOrigin ? { 'Cache-Control': 'no-cache' } : {}
                 });
                 
-                clearTimeout(timeoutId);
-                
-                if (!response.ok) return null;
+                // Partial and empty responses are not worth keeping
+                if (response.status !== 200) {
+                    clearTimeout(timeoutId);
+                    return null;
+                }
                 
-                const content = await response.text();
-                return this.sanitizeHtml(content);
+                const contentType = response.headers.get('Content-Type') || '';
+                const body = TEXT_CONTENT_TYPE.test(contentType) ? await response.text() : await response.blob();
+                clearTimeout(timeoutId);
+
+                const headers = {};
+                STORED_RESPONSE_HEADERS.forEach(name => {
+                    const value = response.headers.get(name);
+                    if (value !== null) headers[name] = value;
+                });
+
+                return {
+                    status: response.status,
+                    statusText: response.statusText,
+                    headers,
+                    body,
+                    size: typeof body === 'string' ? new Blob([body]).size : body.size
+                };
             } catch (error) {
                 if (error.name === 'AbortError') {
                     this.log('Fetch aborted for:', url);
@@ -901,6 +2864,83 @@ async storeInCache(url, trigger, priority) {
             }
         }
 
+        // Rebuild a Response from IndexedDB, or null when the URL is not stored
+        async getCachedResponse(url, { freshOnly = false } = {}) {
+            if (!this.db || !this.isValidUrl(url)) return null;
+
+            const key = this.sanitizeUrl(url);
+
+            try {
+                const transaction = this.db.transaction([this.config.STORE_NAME], 'readwrite');
+                const store = transaction.objectStore(this.config.STORE_NAME);
+
+                const entry = await new Promise((resolve, reject) => {
+                    const request = store.get(key);
+                    request.onsuccess = () => {
+                        const result = request.result;
+
+                        // Reads count as use for LRU eviction
+                        if (result) {
+                            store.put({ ...result, lastAccessed: Date.now(), accessCount: result.accessCount + 1 });
+                        }
+                        resolve(result);
+                    };
+                    request.onerror = () => reject(request.error);
+                });
+
+                if (!entry || entry.body === undefined) return null;
+
+                const response = new Response(entry.body, {
+                    status: entry.status,
+                    statusText: entry.statusText,
+                    headers: entry.headers
+                });
+
+                if (freshOnly && (entry.version !== this.config.CACHE_VERSION || !this.isResponseFresh(response.headers, entry.timestamp))) {
+                    return null;
+                }
+                return response;
+            } catch (error) {
+                this.logError('Failed to read cached response:', error);
+                return null;
+            }
+        }
+
+        // Whether a response stored at storedAt can be used without asking the
+        // server. Lifetime comes from max-age, then Expires, then 10% of the
+        // Last-Modified age, like the worker's getFreshness.
+        isResponseFresh(headers, storedAt) {
+            if (!storedAt) return false;
+
+            const cacheControl = (headers.get('Cache-Control') || '').toLowerCase();
+            if (/\bno-(cache|store)\b/.test(cacheControl)) return false;
+
+            const date = Date.parse(headers.get('Date')) || storedAt;
+            const age = Math.max(storedAt - date, 0) + (Date.now() - storedAt);
+            const maxAge = cacheControl.match(/\bmax-age=(\d+)/);
+            const expires = Date.parse(headers.get('Expires'));
+            const lastModified = Date.parse(headers.get('Last-Modified'));
+
+            let lifetime = DEFAULT_FRESHNESS_LIFETIME;
+            if (maxAge) {
+                lifetime = Number(maxAge[1]) * 1000;
+            } else if (!Number.isNaN(expires)) {
+                lifetime = expires - date;
+            } else if (!Number.isNaN(lastModified)) {
+                lifetime = Math.max(0, (date - lastModified) / 10);
+            }
+            return age <= lifetime;
+        }
+
+        // Render a stored page's sanitized markup into an element
+        async renderCachedContent(url, element) {
+            const response = await this.getCachedResponse(url);
+            if (!response) return false;
+
+            element.innerHTML = this.sanitizeHtml(await response.text());
+            return true;
+        }
+
         async updateAnalytics(url) {
             // Update usage analytics
             const analytics = this.urlAnalytics.get(url) || {
@@ -913,26 +2953,131 @@ async storeInCache(url, trigger, priority) {
             
             this.urlAnalytics.set(url, analytics);
             
-            // Store in IndexedDB analytics store
+            // Store in IndexedDB analytics store, keeping recorded transitions
             if (this.db) {
                 try {
                     const transaction = this.db.transaction([this.config.ANALYTICS_STORE], 'readwrite');
                     const store = transaction.objectStore(this.config.ANALYTICS_STORE);
-                    store.put({ url, ...analytics });
+                    const request = store.get(url);
+                    request.onsuccess = () => {
+                        store.put({ ...request.result, url, ...analytics });
+                    };
                 } catch (error) {
                     this.logError('Failed to update analytics:', error);
                 }
             }
         }
 
-        async prerenderPage(url) {
-            if (this.prerenderedUrls.has(url)) return;
+        // Record a page A -> page B navigation in the transition model
+        recordTransition(fromUrl, toUrl) {
+            if (!this.db || !this.config.PREDICTION_ENABLED) return;
+            if (!this.isValidUrl(fromUrl) || !this.isValidUrl(toUrl)) return;
+
+            const source = this.sanitizeUrl(fromUrl);
+            const target = this.sanitizeUrl(toUrl);
+            if (source === target) return;
+
+            try {
+                const transaction = this.db.transaction([this.config.ANALYTICS_STORE], 'readwrite');
+                const store = transaction.objectStore(this.config.ANALYTICS_STORE);
+                const request = store.get(source);
+
+                request.onsuccess = () => {
+                    const record = request.result || { url: source };
+                    const transitions = record.transitions || {};
+                    const now = Date.now();
+                    const entry = transitions[target] || { weight: 0, lastSeen: now };
+
+                    transitions[target] = {
+                        weight: this.decayWeight(entry.weight, entry.lastSeen, now) + 1,
+                        lastSeen: now
+                    };
+
+                    record.transitions = this.trimTransitions(transitions, now);
+                    store.put(record);
+                };
+            } catch (error) {
+                this.logError('Failed to record transition:', error);
+            }
+        }
+
+        // Exponential decay so old habits fade out
+        decayWeight(weight, lastSeen, now = Date.now()) {
+            const age = Math.max(0, now - lastSeen);
+            return weight * Math.pow(0.5, age / this.config.PREDICTION_HALF_LIFE);
+        }
+
+        // Keep the strongest transitions only, so records stay small
+        trimTransitions(transitions, now = Date.now()) {
+            const sorted = Object.entries(transitions)
+                .map(([url, entry]) => [url, entry, this.decayWeight(entry.weight, entry.lastSeen, now)])
+                .sort((a, b) => b[2] - a[2])
+                .slice(0, this.config.PREDICTION_MAX_TARGETS);
+
+            return Object.fromEntries(sorted.map(([url, entry]) => [url, entry]));
+        }
+
+        // Rank likely next pages from a page's transition record
+        getPredictions(record) {
+            if (!record || !record.transitions) return [];
+
+            const now = Date.now();
+            const weighted = Object.entries(record.transitions)
+                .map(([url, entry]) => ({ url, weight: this.decayWeight(entry.weight, entry.lastSeen, now) }));
+            const total = weighted.reduce((sum, entry) => sum + entry.weight, 0);
+
+            if (total < this.config.PREDICTION_MIN_SAMPLES) return [];
+
+            return weighted
+                .map(({ url, weight }) => ({ url, confidence: weight / total }))
+                .filter(({ confidence }) => confidence >= this.config.PREDICTION_MIN_CONFIDENCE)
+                .sort((a, b) => b.confidence - a.confidence)
+                .slice(0, this.config.PREDICTION_MAX_PAGES);
+        }
+
+        // Queue the most likely next pages for the current page
+        async predictNextPages() {
+            if (!this.db || !this.config.PREDICTION_ENABLED) return;
+
+            try {
+                const currentUrl = this.sanitizeUrl(window.location.href);
+                const transaction = this.db.transaction([this.config.ANALYTICS_STORE], 'readonly');
+                const store = transaction.objectStore(this.config.ANALYTICS_STORE);
+
+                const record = await new Promise((resolve, reject) => {
+                    const request = store.get(currentUrl);
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+
+                const weight = this.config.PRIORITY_WEIGHTS.predicted || 1;
+
+                for (const { url, confidence } of this.getPredictions(record)) {
+                    this.log(`Predicted next page ${url} (confidence: ${confidence.toFixed(2)})`);
+                    this.emit('prefetch:predicted', url, { confidence });
+
+                    // Links on this page still get their say, e.g. data-velocity="off"
+                    const link = this.findLinkForUrl(url);
+                    const options = link ? this.getLinkOptions(link) : {};
+                    this.processLink(url, 'predicted', options.priority ?? Math.max(1, Math.round(weight * (0.5 + confidence))), options);
+                }
+            } catch (error) {
+                this.logError('Next-page prediction failed:', error);
+            }
+        }
 
+        async prerenderPage(url, priority = 8) {
             try {
-                // Remove old prerender links
-                document.querySelectorAll('link[rel="prerender"]').forEach(link => link.remove());
+                if (this.speculationRulesSupported) {
+                    this.addSpeculationCandidate('prerender', url, priority, this.config.PRERENDER_TTL);
+                    this.prerenderedUrls.add(url);
+                    this.log('Prerendering via speculation rules:', url);
+                    return;
+                }
+
+                if (this.prerenderedUrls.has(url)) return;
 
-                // Add new prerender link with better attributes
+                // Fallback for browsers without Speculation Rules
                 const link = document.createElement('link');
                 link.rel = 'prerender';
                 link.href = url;
@@ -947,7 +3092,7 @@ async storeInCache(url, trigger, priority) {
                         link.remove();
                     }
                     this.prerenderedUrls.delete(url);
-                }, 30000);
+                }, this.config.PRERENDER_TTL);
 
                 this.log('Prerendering:', url);
             } catch (error) {
@@ -1,89 +1 @@
-(function(){'use strict';const DEFAULT_CONFIG={MAX_CACHED_LINKS:100,DB_NAME:'VelocityDB',DB_VERSION:2,STORE_NAME:'preloadedContent',ANALYTICS_STORE:'usageAnalytics',SW_PATH:'/velocity-worker.js',PREFETCH_TIMEOUT:3000,CLEANUP_INTERVAL:300000,MAX_CONCURRENT_PREFETCH:3,VISUAL_FEEDBACK:!1,DEBUG_MODE:!1,CACHE_VERSION:'1.0.0',PRIORITY_WEIGHTS:{click:10,hover:5,touch:7,visible:3}};const loadDOMPurify=async()=>{try{if(typeof DOMPurify!=='undefined'){return DOMPurify}
-const script=document.createElement('script');script.src='https://cdn.jsdelivr.net/npm/dompurify@3.0.5/dist/purify.min.js';document.head.appendChild(script);return new Promise((resolve)=>{script.onload=()=>resolve(window.DOMPurify);script.onerror=()=>resolve(null)})}catch{return null}};class Velocity{constructor(userConfig={}){this.config={...DEFAULT_CONFIG,...userConfig};this.db=null;this.domPurify=null;this.prefetchQueue=new Map();this.prefetchedUrls=new Map();this.prerenderedUrls=new Set();this.isServiceWorkerReady=!1;this.broadcastChannel=null;this.performanceObserver=null;this.cleanupWorker=null;this.prefetchSemaphore=0;this.urlAnalytics=new Map();this.intersectionObserver=null;this.init()}
-async init(){try{this.log('Initializing Velocity...');await Promise.all([this.initDOMPurify(),this.initIndexedDB(),this.initBroadcastChannel(),this.registerServiceWorker()]);this.initPerformanceObserver();this.initIntersectionObserver();this.attachEventListeners();this.startCleanupScheduler();this.showVisualFeedback('Velocity.js initialized');this.log('Velocity initialized successfully')}catch(error){this.logError('Velocity initialization failed:',error)}}
-log(message,...args){if(this.config.DEBUG_MODE){console.log(`[Velocity] ${message}`,...args)}}
-logError(message,error){console.error(`[Velocity] ${message}`,error)}
-async initDOMPurify(){this.domPurify=await loadDOMPurify();if(!this.domPurify){this.log('DOMPurify not available, using fallback sanitization')}}
-async initIndexedDB(){return new Promise((resolve,reject)=>{const request=indexedDB.open(this.config.DB_NAME,this.config.DB_VERSION);request.onerror=()=>{this.logError('IndexedDB initialization failed:',request.error);reject(request.error)};request.onsuccess=()=>{this.db=request.result;this.db.onerror=(event)=>{this.logError('IndexedDB error:',event.target.error)};resolve()};request.onupgradeneeded=(event)=>{const db=event.target.result;if(!db.objectStoreNames.contains(this.config.STORE_NAME)){const store=db.createObjectStore(this.config.STORE_NAME,{keyPath:'url'});store.createIndex('timestamp','timestamp',{unique:!1});store.createIndex('priority','priority',{unique:!1});store.createIndex('lastAccessed','lastAccessed',{unique:!1});store.createIndex('accessCount','accessCount',{unique:!1})}
-if(!db.objectStoreNames.contains(this.config.ANALYTICS_STORE)){const analyticsStore=db.createObjectStore(this.config.ANALYTICS_STORE,{keyPath:'url'});analyticsStore.createIndex('visitCount','visitCount',{unique:!1});analyticsStore.createIndex('avgLoadTime','avgLoadTime',{unique:!1})}}})}
-initBroadcastChannel(){try{if('BroadcastChannel' in window){this.broadcastChannel=new BroadcastChannel('velocity-cache-channel');this.broadcastChannel.onmessage=this.handleBroadcastMessage.bind(this);this.log('BroadcastChannel initialized')}else{this.log('BroadcastChannel not supported, falling back to postMessage')}}catch(error){this.logError('BroadcastChannel initialization failed:',error)}}
-async registerServiceWorker(){if(!('serviceWorker' in navigator)){this.log('Service Worker not supported');return}
-try{const registration=await navigator.serviceWorker.register(this.config.SW_PATH,{scope:'/',updateViaCache:'imports'});registration.addEventListener('updatefound',()=>{const newWorker=registration.installing;newWorker.addEventListener('statechange',()=>{if(newWorker.state==='installed'&&navigator.serviceWorker.controller){this.showVisualFeedback('New version available, refreshing...');window.location.reload()}})});await navigator.serviceWorker.ready;this.isServiceWorkerReady=!0;this.log('Service Worker registered and ready')}catch(error){this.logError('Service Worker registration failed:',error)}}
-initPerformanceObserver(){if('PerformanceObserver' in window){try{this.performanceObserver=new PerformanceObserver((list)=>{list.getEntries().forEach(this.handlePerformanceEntry.bind(this))});this.performanceObserver.observe({entryTypes:['navigation','resource','measure']});this.log('PerformanceObserver initialized')}catch(error){this.logError('PerformanceObserver initialization failed:',error)}}}
-initIntersectionObserver(){if('IntersectionObserver' in window){this.intersectionObserver=new IntersectionObserver(this.handleIntersection.bind(this),{threshold:0.1,rootMargin:'50px'});this.log('IntersectionObserver initialized')}}
-attachEventListeners(){const passiveOptions={passive:!0,capture:!0};document.addEventListener('touchstart',this.handleTouchStart.bind(this),passiveOptions);document.addEventListener('mouseover',this.handleMouseOver.bind(this),passiveOptions);document.addEventListener('click',this.handleClick.bind(this),passiveOptions);document.addEventListener('visibilitychange',this.handleVisibilityChange.bind(this));this.observeLinks();if('MutationObserver' in window){const mutationObserver=new MutationObserver(()=>{this.observeLinks()});mutationObserver.observe(document.body,{childList:!0,subtree:!0})}}
-observeLinks(){if(!this.intersectionObserver)return;document.querySelectorAll('a[href]').forEach(link=>{if(!link.dataset.velocityCacheObserved){this.intersectionObserver.observe(link);link.dataset.velocityCacheObserved='true'}})}
-handleIntersection(entries){entries.forEach(entry=>{if(entry.isIntersecting&&entry.target.href){this.processLink(entry.target.href,'visible',1)}})}
-handleTouchStart(event){const link=this.findLinkElement(event.target);if(link){const priority=this.calculatePriority(link,'touch');this.processLink(link.href,'touch',priority)}}
-handleMouseOver(event){const link=this.findLinkElement(event.target);if(link){const priority=this.calculatePriority(link,'hover');this.processLink(link.href,'hover',priority)}}
-handleClick(event){const link=this.findLinkElement(event.target);if(link){const priority=this.calculatePriority(link,'click');this.processLink(link.href,'click',priority);this.updateAnalytics(link.href)}}
-handleVisibilityChange(){if(document.hidden){this.pausePrefetching()}else{this.resumePrefetching()}}
-calculatePriority(linkElement,trigger){let priority=this.config.PRIORITY_WEIGHTS[trigger]||1;if(linkElement.classList.contains('priority-high'))priority*=2;if(linkElement.closest('nav'))priority*=1.5;if(linkElement.closest('.main-content'))priority*=1.3;const analytics=this.urlAnalytics.get(linkElement.href);if(analytics){priority*=(1+analytics.visitCount*0.1)}
-return Math.round(priority)}
-async processLink(url,trigger,priority=1){if(!this.isValidUrl(url))return;const sanitizedUrl=this.sanitizeUrl(url);const existing=this.prefetchedUrls.get(sanitizedUrl);if(existing&&existing.priority>=priority){return}
-try{this.prefetchQueue.set(sanitizedUrl,{url:sanitizedUrl,trigger,priority,timestamp:Date.now()});await this.processQueue();this.log(`Queued ${sanitizedUrl} via ${trigger} (priority: ${priority})`)}catch(error){this.logError(`Failed to process ${url}:`,error)}}
-async processQueue(){if(this.prefetchSemaphore>=this.config.MAX_CONCURRENT_PREFETCH){return}
-const sortedQueue=Array.from(this.prefetchQueue.entries()).sort(([,a],[,b])=>b.priority-a.priority);for(const[url,item]of sortedQueue.slice(0,this.config.MAX_CONCURRENT_PREFETCH)){if(this.prefetchSemaphore>=this.config.MAX_CONCURRENT_PREFETCH)break;this.prefetchSemaphore++;this.prefetchQueue.delete(url);this.prefetchResource(item).finally(()=>{this.prefetchSemaphore--})}}
-async prefetchResource(item){const{url,trigger,priority}=item;try{const existing=this.prefetchedUrls.get(url);if(existing&&(Date.now()-existing.timestamp)<60000){return}
-const startTime=performance.now();const promises=[];promises.push(this.nativePrefetch(url));if(this.broadcastChannel&&this.isServiceWorkerReady){promises.push(this.serviceWorkerPrefetch(url,priority))}
-await Promise.allSettled(promises);this.prefetchedUrls.set(url,{timestamp:Date.now(),trigger,priority,loadTime:performance.now()-startTime});await this.storeInCache(url,trigger,priority);if(priority>=8){this.prerenderPage(url)}
-this.showVisualFeedback(`Prefetched: ${url}`)}catch(error){this.logError(`Prefetch failed for ${url}:`,error)}}
-async nativePrefetch(url){return new Promise((resolve,reject)=>{const link=document.createElement('link');link.rel='prefetch';link.href=url;link.as='document';link.crossOrigin='anonymous';link.onload=()=>{resolve();setTimeout(()=>link.remove(),1000)};link.onerror=()=>{reject(new Error(`Native prefetch failed for ${url}`));link.remove()};document.head.appendChild(link);setTimeout(()=>{reject(new Error('Prefetch timeout'));link.remove()},this.config.PREFETCH_TIMEOUT)})}
-async serviceWorkerPrefetch(url,priority){if(!this.broadcastChannel){throw new Error('BroadcastChannel not available')}
-return new Promise((resolve,reject)=>{const messageId=`prefetch_${Date.now()}_${Math.random()}`;const timeout=setTimeout(()=>{reject(new Error('SW prefetch timeout'))},this.config.PREFETCH_TIMEOUT);const handleResponse=(event)=>{if(event.data.messageId===messageId){clearTimeout(timeout);this.broadcastChannel.removeEventListener('message',handleResponse);if(event.data.success){resolve()}else{reject(new Error(event.data.error||'SW prefetch failed'))}}};this.broadcastChannel.addEventListener('message',handleResponse);this.broadcastChannel.postMessage({type:'PREFETCH',url,priority,messageId})})}
-sanitizeHtml(html){if(this.domPurify){return this.domPurify.sanitize(html,{ALLOWED_TAGS:['p','br','strong','em','u','h1','h2','h3','h4','h5','h6'],ALLOWED_ATTR:['class','id'],KEEP_CONTENT:!0,RETURN_DOM:!1})}
-const temp=document.createElement('div');temp.textContent=html;let sanitized=temp.innerHTML;sanitized=sanitized.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi,'');sanitized=sanitized.replace(/on\w+\s*=\s*["'][^"']*["']/gi,'');sanitized=sanitized.replace(/javascript:/gi,'');sanitized=sanitized.replace(/data:/gi,'');sanitized=sanitized.replace(/vbscript:/gi,'');return sanitized}
-async storeInCache(url,trigger,priority){if(!this.db)return;try{const content=await this.fetchAndSanitizeContent(url);const cacheEntry={url,timestamp:Date.now(),lastAccessed:Date.now(),accessCount:1,trigger,priority,content,version:this.config.CACHE_VERSION};const transaction=this.db.transaction([this.config.STORE_NAME],'readwrite');const store=transaction.objectStore(this.config.STORE_NAME);const existingRequest=store.get(url);await new Promise((resolve,reject)=>{existingRequest.onsuccess=()=>{if(existingRequest.result){cacheEntry.accessCount=existingRequest.result.accessCount+1}
-const putRequest=store.put(cacheEntry);putRequest.onsuccess=()=>resolve();putRequest.onerror=()=>reject(putRequest.error)};existingRequest.onerror=()=>{const putRequest=store.put(cacheEntry);putRequest.onsuccess=()=>resolve();putRequest.onerror=()=>reject(putRequest.error)}});await this.cleanupOldEntries()}catch(error){this.logError('Failed to store in cache:',error)}}
-async cleanupOldEntries(){if(!this.db)return;if(this.cleanupWorker){this.cleanupWorker.postMessage({type:'CLEANUP',dbName:this.config.DB_NAME,storeName:this.config.STORE_NAME,maxEntries:this.config.MAX_CACHED_LINKS});return}
-try{const transaction=this.db.transaction([this.config.STORE_NAME],'readwrite');const store=transaction.objectStore(DEFAULT_CONFIG.STORE_NAME);const countRequest=store.count();const count=await new Promise((resolve)=>{countRequest.onsuccess=()=>resolve(countRequest.result)});if(count>this.config.MAX_CACHED_LINKS){const entries=await new Promise((resolve)=>{const results=[];const request=store.openCursor();request.onsuccess=(event)=>{const cursor=event.target.result;if(cursor){results.push({url:cursor.value.url,lastAccessed:cursor.value.lastAccessed,accessCount:cursor.value.accessCount,score:cursor.value.lastAccessed+(cursor.value.accessCount*86400000)});cursor.continue()}else{resolve(results)}}});entries.sort((a,b)=>a.score-b.score);const toDelete=entries.slice(0,count-this.config.MAX_CACHED_LINKS);for(const entry of toDelete){store.delete(entry.url)}
-this.log(`Cleaned up ${toDelete.length} old cache entries`)}}catch(error){this.logError('Cleanup failed:',error)}}
-initCleanupWorker(){if('Worker' in window){try{const workerCode=`
-                        self.onmessage = function(e) {
-                            if (e.data.type === 'CLEANUP') {
-                                // Implement IndexedDB cleanup in worker
-                                // This is a simplified version - full implementation would mirror main thread logic
-                                self.postMessage({ type: 'CLEANUP_COMPLETE', success: true });
-                            }
-                        };
-                    `;const blob=new Blob([workerCode],{type:'application/javascript'});this.cleanupWorker=new Worker(URL.createObjectURL(blob));this.cleanupWorker.onmessage=(e)=>{if(e.data.type==='CLEANUP_COMPLETE'){this.log('Background cleanup completed')}}}catch(error){this.logError('Failed to create cleanup worker:',error)}}}
-async clearCache(){try{if('caches' in window){const cacheNames=await caches.keys();await Promise.all(cacheNames.map(cacheName=>caches.delete(cacheName)));log(`Cleared ${cacheNames.length} browser caches`,'success')}
-updateStats();log('Cleanup completed','success')}catch(error){log('Cleanup error: '+error.message,'error')}}
-async invalidateCache(urlPattern){if(!this.db)return;try{const transaction=this.db.transaction([this.config.STORE_NAME],'readwrite');const store=transaction.objectStore(DEFAULT_CONFIG.STORE_NAME);const request=store.openCursor();request.onsuccess=(event)=>{const cursor=event.target.result;if(cursor){if(cursor.value.url.match(urlPattern)){cursor.delete();this.prefetchedUrls.delete(cursor.value.url)}
-cursor.continue()}};if(this.broadcastChannel){this.broadcastChannel.postMessage({type:'INVALIDATE_CACHE',pattern:urlPattern.toString()})}}catch(error){this.logError('Cache invalidation failed:',error)}}
-showVisualFeedback(message){if(!this.config.VISUAL_FEEDBACK)return;let feedback=document.getElementById('velocity-cache-feedback');if(!feedback){feedback=document.createElement('div');feedback.id='velocity-cache-feedback';feedback.style.cssText=`
-                    position: fixed;
-                    top: 10px;
-                    right: 10px;
-                    background: rgba(0, 100, 200, 0.9);
-                    color: white;
-                    padding: 8px 12px;
-                    border-radius: 4px;
-                    font-size: 16px;
-                    z-index: 10000;
-                    transition: opacity 0.3s ease;
-                    pointer-events: none;
-                `;document.body.appendChild(feedback)}
-feedback.textContent=message;feedback.style.opacity='1';clearTimeout(feedback.hideTimeout);feedback.hideTimeout=setTimeout(()=>{feedback.style.opacity='0'},2000)}
-handlePerformanceEntry(entry){if(entry.entryType==='resource'){const analytics=this.urlAnalytics.get(entry.name)||{visitCount:0,totalLoadTime:0,avgLoadTime:0};analytics.visitCount++;analytics.totalLoadTime+=entry.duration;analytics.avgLoadTime=analytics.totalLoadTime/analytics.visitCount;this.urlAnalytics.set(entry.name,analytics)}}
-handleBroadcastMessage(event){const{type,data}=event.data;switch(type){case 'PREFETCH_COMPLETE':this.log('SW prefetch completed:',data.url);break;case 'CACHE_UPDATED':this.log('Cache updated:',data.url);break;case 'ERROR':this.logError('SW error:',data.error);break}}
-startCleanupScheduler(){setInterval(()=>{this.cleanupOldEntries()},this.config.CLEANUP_INTERVAL)}
-pausePrefetching(){this.isPaused=!0;this.log('Prefetching paused')}
-resumePrefetching(){this.isPaused=!1;this.processQueue();this.log('Prefetching resumed')}
-async getCacheStats(){if(!this.db)return null;try{const transaction=this.db.transaction([this.config.STORE_NAME],'readonly');const store=transaction.objectStore(DEFAULT_CONFIG.STORE_NAME);const count=await new Promise((resolve)=>{const request=store.count();request.onsuccess=()=>resolve(request.result)});return{totalEntries:count,prefetchedUrls:this.prefetchedUrls.size,queueSize:this.prefetchQueue.size,analytics:Object.fromEntries(this.urlAnalytics)}}catch(error){this.logError('Failed to get cache stats:',error);return null}}
-updateConfig(newConfig){this.config={...this.config,...newConfig};this.log('Configuration updated:',newConfig)}
-destroy(){this.broadcastChannel?.close();this.performanceObserver?.disconnect();this.intersectionObserver?.disconnect();this.cleanupWorker?.terminate();this.db?.close();this.log('Velocity destroyed')}
-findLinkElement(element){while(element&&element!==document){if(element.tagName==='A'&&element.href){return element}
-element=element.parentElement}
-return null}
-isValidUrl(url){try{const parsed=new URL(url,window.location.origin);return parsed.origin===window.location.origin&&parsed.protocol===window.location.protocol&&!url.includes('javascript:')&&!url.includes('data:')&&!url.includes('blob:')&&!url.includes('vbscript:')}catch{return!1}}
-sanitizeUrl(url){const parsed=new URL(url,window.location.origin);return parsed.href.replace(/[<>"'`]/g,'').split('#')[0]}
-async fetchAndSanitizeContent(url){try{const controller=new AbortController();const timeoutId=setTimeout(()=>controller.abort(),this.config.PREFETCH_TIMEOUT);const response=await fetch(url,{method:'GET',credentials:'same-origin',signal:controller.signal,headers:{'Cache-Control':'no-cache'}});clearTimeout(timeoutId);if(!response.ok)return null;const content=await response.text();return this.sanitizeHtml(content)}catch(error){if(error.name==='AbortError'){this.log('Fetch aborted for:',url)}else{this.logError('Failed to fetch content:',error)}
-return null}}
-async updateAnalytics(url){const analytics=this.urlAnalytics.get(url)||{visitCount:0,lastVisit:0};analytics.visitCount++;analytics.lastVisit=Date.now();this.urlAnalytics.set(url,analytics);if(this.db){try{const transaction=this.db.transaction([this.config.ANALYTICS_STORE],'readwrite');const store=transaction.objectStore(this.config.ANALYTICS_STORE);store.put({url,...analytics})}catch(error){this.logError('Failed to update analytics:',error)}}}
-async prerenderPage(url){if(this.prerenderedUrls.has(url))return;try{document.querySelectorAll('link[rel="prerender"]').forEach(link=>link.remove());const link=document.createElement('link');link.rel='prerender';link.href=url;link.crossOrigin='anonymous';document.head.appendChild(link);this.prerenderedUrls.add(url);setTimeout(()=>{if(link.parentNode){link.remove()}
-this.prerenderedUrls.delete(url)},30000);this.log('Prerendering:',url)}catch(error){this.logError('Prerender failed:',error)}}}
-function initVelocity(config={}){if(window.VelocityInstance){window.VelocityInstance.destroy()}
-window.VelocityInstance=new Velocity(config);return window.VelocityInstance}
-if(document.readyState==='loading'){document.addEventListener('DOMContentLoaded',()=>{initVelocity()})}else{initVelocity()}
-window.Velocity={init:initVelocity,getInstance:()=>window.VelocityInstance,version:'1.0.0'}})()
\ No newline at end of file
+!function(){"use strict";const e={MAX_CACHED_LINKS:100,MAX_CACHED_BYTES:20971520,STORAGE_QUOTA_RATIO:.8,DB_NAME:"VelocityDB",DB_VERSION:4,STORE_NAME:"preloadedContent",ANALYTICS_STORE:"usageAnalytics",SW_PATH:"/velocity-worker.js",PRECACHE_MANIFEST:null,PREFETCH_TIMEOUT:3e3,SW_COMMAND_TIMEOUT:1e4,CLEANUP_INTERVAL:3e5,CLEANUP_IN_WORKER:!0,MAX_CONCURRENT_PREFETCH:3,LOW_PRIORITY_THRESHOLD:5,MAX_QUEUE_SIZE:50,PRIORITY_AGING_INTERVAL:2e3,IDLE_PREFETCH_TIMEOUT:2e3,TRIGGER_BUDGETS:{visible:2,predicted:1},CANCELLED_PREFETCH_POLICY:{hidden:"requeue",navigation:"drop",preempted:"requeue",network:"drop"},PREFETCH_ALLOW_SELECTORS:[],PREFETCH_DENY_SELECTORS:[],PREFETCH_INCLUDE:[],PREFETCH_EXCLUDE:[],PREFETCH_DEFAULT_EXCLUDES:!0,ALLOWED_ORIGINS:[],MAX_CONCURRENT_PREFETCH_FAST:6,ADAPTIVE_NETWORK:!0,TRIGGER_MIN_NETWORK:{click:"save-data",touch:"medium",hover:"medium",visible:"fast",eager:"medium",predicted:"medium"},SPECULATION_EAGERNESS:{immediate:8,eager:5,moderate:3},SPECULATION_PREFETCH_TTL:3e5,PRERENDER_TTL:3e4,MAX_PRERENDERS:2,HOVER_INTENT_DELAY:80,HOVER_TRAJECTORY:!0,HOVER_TRAJECTORY_RANGE:300,SOFT_NAVIGATION:!1,VIEW_TRANSITIONS:!0,HOLDOUT_PERCENTAGE:0,HOLDOUT_UNIT:"session",HOLDOUT_ID:null,HOLDOUT_SEED:"velocity",VITALS_ENDPOINT:null,VITALS_SAMPLE_RATE:1,VITALS_BATCH_SIZE:10,VITALS_MAX_BATCH_AGE:3e5,VISUAL_FEEDBACK:!1,DEBUG_MODE:!1,CACHE_VERSION:"1.0.0",PRIORITY_WEIGHTS:{click:10,hover:5,touch:7,visible:3,eager:6,predicted:4},PREDICTION_ENABLED:!0,PREDICTION_MIN_CONFIDENCE:.3,PREDICTION_MIN_SAMPLES:3,PREDICTION_MAX_PAGES:2,PREDICTION_HALF_LIFE:6048e5,PREDICTION_MAX_TARGETS:20,SW_CONFIG:{}},t=e=>e.lastAccessed+864e5*e.accessCount,i=(e,t,i)=>{let r=e.length,s=e.reduce((e,t)=>e+t.size,0);const n=[];for(const o of e.slice().sort((e,t)=>e.score-t.score)){if(r<=t&&s<=i)break;n.push(o),r--,s-=o.size}return n},r=["off","eager","hover","visible"],s=["hover","touch","click"],n=[/\/(log-?out|sign-?out|log-?off|sign-?off)(?:[/?.]|$)/i,/\/(delete|remove|destroy|unsubscribe|cancel|revoke)(?:[/?.]|$)/i,/\/cart\/(add|update|clear|empty)(?:[/?.]|$)/i,/[?&](action|do|op|cmd|task)=(delete|remove|destroy|log-?out|sign-?out|unsubscribe|cancel)(?:&|$)/i,/[?&](add-to-cart|remove_item|empty-cart)=/i,/[?&](_?wpnonce|nonce|csrf_?token|_token)=/i],o=new Map,a=["PRIORITY_WEIGHTS","TRIGGER_MIN_NETWORK","TRIGGER_BUDGETS","CANCELLED_PREFETCH_POLICY","SPECULATION_EAGERNESS"],c=(e,t={})=>{const i={...e,...t};for(const r of a)t[r]&&"object"==typeof t[r]&&(i[r]={...e[r],...t[r]});return i},l=["PREFETCH_INCLUDE","PREFETCH_EXCLUDE","PREFETCH_DEFAULT_EXCLUDES","ALLOWED_ORIGINS"],h=e=>"function"==typeof e?`${e.name||"anonymous"}()`:String(e),d=(e,t,i,r,s)=>{let n=0,o=1/0;for(const[a,c,l,h]of[[e,i,s.left,s.right],[t,r,s.top,s.bottom]]){if(0===c){if(a<l||a>h)return 1/0;continue}const e=(l-a)/c,t=(h-a)/c;if(n=Math.max(n,Math.min(e,t)),o=Math.min(o,Math.max(e,t)),n>o)return 1/0}return n},u=["save-data","slow","medium","fast"],g=["content-type","etag","last-modified","cache-control","expires","date"],p=/^text\/|[/+](json|xml|javascript)\b/i,f="velocity-experiment-id",m="velocity-vitals-navigation",E="velocity-vitals-queue";class v{constructor(t={}){this.config=c(e,t),this.db=null,this.domPurify=null,this.prefetchQueue=new Map,this.prefetchedUrls=new Map,this.prerenderedUrls=new Set,this.speculationCandidates={prefetch:new Map,prerender:new Map},this.speculationScript=null,this.speculationRulesSupported="undefined"!=typeof HTMLScriptElement&&"function"==typeof HTMLScriptElement.supports&&HTMLScriptElement.supports("speculationrules"),this.isServiceWorkerReady=!1,this.swRegistration=null,this.broadcastChannel=null,this.performanceObserver=null,this.cleanupWorker=null,this.cleanupWorkerUrl=null,this.cleanupInProgress=!1,this.cleanupStartedAt=0,this.cleanupTimer=null,this.prefetchSemaphore=0,this.isPaused=!1,this.isDestroyed=!1,this.inFlightPrefetches=new Map,this.linksByUrl=null,this.idleRequested=!1,this.inIdlePeriod=!1,this.requesterId=window.crypto?.randomUUID?.()||`${Date.now()}-${Math.random()}`,this.schedulerStats={started:0,dropped:0,peakDepth:0,totalWait:0,maxWait:0},this.handlePageHide=this.handlePageHide.bind(this),this.handleNavigate=this.handleNavigate.bind(this),this.urlAnalytics=new Map,this.intersectionObserver=null,this.eventListeners=new Map,this.networkInfo={quality:"unknown"},this.handleConnectionChange=this.handleConnectionChange.bind(this),this.handleSoftNavigationClick=this.handleSoftNavigationClick.bind(this),this.handlePopState=this.handlePopState.bind(this),this.currentDocumentUrl=null,this.experimentGroup=this.assignExperimentGroup(),this.vitals=null,this.vitalsObservers=[],this.handleVitalsHidden=this.handleVitalsHidden.bind(this),this.visibleLinks=new Set,this.hoverIntent={link:null,timer:null,approach:null,pointer:null,accepted:0,cancelled:0,headStarts:0},this.handleMouseOut=this.handleMouseOut.bind(this),this.handlePointerMove=this.handlePointerMove.bind(this),this.init()}async init(){try{this.log("Initializing Velocity..."),await Promise.all([this.initDOMPurify(),this.initIndexedDB(),this.initBroadcastChannel(),this.registerServiceWorker()]),this.syncServiceWorkerConfig(),this.syncExperimentGroup(),this.initNetworkMonitor(),this.initPerformanceObserver(),this.initVitals(),this.initIntersectionObserver(),this.attachEventListeners(),this.initSoftNavigation(),this.predictNextPages(),this.initCleanupWorker(),this.startCleanupScheduler(),this.showVisualFeedback("Velocity.js initialized"),this.log("Velocity initialized successfully")}catch(e){this.logError("Velocity initialization failed:",e)}}log(e,...t){this.config.DEBUG_MODE&&console.log(`[Velocity] ${e}`,...t)}logError(e,t){console.error(`[Velocity] ${e}`,t)}on(e,t){return"function"!=typeof t||(this.eventListeners.has(e)||this.eventListeners.set(e,new Set),this.eventListeners.get(e).add(t)),this}off(e,t){const i=this.eventListeners.get(e);return i?(t?i.forEach(e=>{e!==t&&e.originalHandler!==t||i.delete(e)}):i.clear(),0===i.size&&this.eventListeners.delete(e),this):this}once(e,t){if("function"!=typeof t)return this;const i=(...r)=>{this.off(e,i),t.apply(this,r)};return i.originalHandler=t,this.on(e,i)}emit(e,...t){const i=this.eventListeners.get(e);if(!i)return;const r=this.withExperimentGroup(t);Array.from(i).forEach(t=>{try{t.apply(this,r)}catch(t){this.logError(`Listener for "${e}" failed:`,t)}})}withExperimentGroup(e){const t=e[e.length-1];return t&&Object.getPrototypeOf(t)===Object.prototype?[...e.slice(0,-1),{...t,group:this.experimentGroup}]:e}getExperimentGroup(){return this.experimentGroup}assignExperimentGroup(){const e=this.config.HOLDOUT_PERCENTAGE;if(!(e>0))return"treatment";const t=this.config.HOLDOUT_ID||this.getExperimentUnitId();if(!t)return"treatment";return(e=>{let t=2166136261;for(let i=0;i<e.length;i++)t^=e.charCodeAt(i),t=Math.imul(t,16777619);return t>>>0})(`${this.config.HOLDOUT_SEED}:${t}`)%1e4<100*e?"holdout":"treatment"}getExperimentUnitId(){try{const e="user"===this.config.HOLDOUT_UNIT?localStorage:sessionStorage;let t=e.getItem(f);return t||(t=window.crypto?.randomUUID?.()||`${Date.now()}-${Math.random()}`,e.setItem(f,t)),t}catch{return null}}syncExperimentGroup(){this.postExperimentMessage({type:"SET_EXPERIMENT_GROUP",group:this.experimentGroup,unit:this.config.HOLDOUT_UNIT})}announceNavigation(e){if(!(this.config.HOLDOUT_PERCENTAGE>0))return;let t;try{t=new URL(e,window.location.href)}catch{return}t.origin===window.location.origin&&this.postExperimentMessage({type:"NAVIGATION_GROUP",url:t.href,group:this.experimentGroup})}postExperimentMessage(e){const t=navigator.serviceWorker?.controller||this.swRegistration?.active;if(t)try{t.postMessage(e)}catch(e){this.logError("Failed to sync experiment group:",e)}}handleNavigate(e){if(e.hashChange||e.downloadRequest)return;this.announceNavigation(e.destination.url);const t=this.sanitizeUrl(e.destination.url);setTimeout(()=>{e.defaultPrevented||window.navigation.transition||this.cancelPrefetches("navigation",e=>this.isLowPriority(e)&&e.url!==t)},0)}async initDOMPurify(){this.domPurify=await(async()=>{try{if("undefined"!=typeof DOMPurify)return DOMPurify;const e=document.createElement("script");return e.src="https://cdn.jsdelivr.net/npm/dompurify@3.0.5/dist/purify.min.js",document.head.appendChild(e),new Promise(t=>{e.onload=()=>t(window.DOMPurify),e.onerror=()=>t(null)})}catch{return null}})(),this.domPurify||this.log("DOMPurify not available, using fallback sanitization")}async initIndexedDB(){return new Promise((e,t)=>{const i=indexedDB.open(this.config.DB_NAME,this.config.DB_VERSION);i.onerror=()=>{this.logError("IndexedDB initialization failed:",i.error),t(i.error)},i.onsuccess=()=>{this.db=i.result,this.db.onerror=e=>{this.logError("IndexedDB error:",e.target.error)},e()},i.onupgradeneeded=e=>{const t=e.target.result;if(!t.objectStoreNames.contains(this.config.STORE_NAME)){const e=t.createObjectStore(this.config.STORE_NAME,{keyPath:"url"});e.createIndex("timestamp","timestamp",{unique:!1}),e.createIndex("priority","priority",{unique:!1}),e.createIndex("lastAccessed","lastAccessed",{unique:!1}),e.createIndex("accessCount","accessCount",{unique:!1})}const i=e.target.transaction.objectStore(this.config.STORE_NAME);if(i.indexNames.contains("size")||i.createIndex("size","size",{unique:!1}),e.oldVersion>0&&e.oldVersion<4&&i.clear(),!t.objectStoreNames.contains(this.config.ANALYTICS_STORE)){const e=t.createObjectStore(this.config.ANALYTICS_STORE,{keyPath:"url"});e.createIndex("visitCount","visitCount",{unique:!1}),e.createIndex("avgLoadTime","avgLoadTime",{unique:!1})}}})}initBroadcastChannel(){try{"BroadcastChannel"in window?(this.broadcastChannel=new BroadcastChannel("velocity-cache-channel"),this.broadcastChannel.onmessage=this.handleBroadcastMessage.bind(this),this.log("BroadcastChannel initialized")):this.log("BroadcastChannel not supported, falling back to postMessage")}catch(e){this.logError("BroadcastChannel initialization failed:",e)}}async registerServiceWorker(){if("serviceWorker"in navigator)try{const e=await navigator.serviceWorker.register(this.getServiceWorkerUrl(),{scope:"/",updateViaCache:"imports"});e.addEventListener("updatefound",()=>{const t=e.installing;t.addEventListener("statechange",()=>{"installed"===t.state&&navigator.serviceWorker.controller&&(this.showVisualFeedback("New version available, refreshing..."),window.location.reload())})}),this.swRegistration=await navigator.serviceWorker.ready,this.isServiceWorkerReady=!0,this.log("Service Worker registered and ready")}catch(e){this.logError("Service Worker registration failed:",e)}else this.log("Service Worker not supported")}getServiceWorkerUrl(){if(!this.config.PRECACHE_MANIFEST)return this.config.SW_PATH;const e=new URL(this.config.SW_PATH,window.location.origin);return e.searchParams.set("precache",this.config.PRECACHE_MANIFEST),e.pathname+e.search}syncServiceWorkerConfig(){const e=navigator.serviceWorker?.controller||this.swRegistration?.active;if(e)try{e.postMessage({type:"UPDATE_CONFIG",config:{...this.config.SW_CONFIG,PREFETCH_RULES:this.getWorkerUrlRules(),ALLOWED_ORIGINS:this.config.ALLOWED_ORIGINS},messageId:`config_${Date.now()}_${Math.random()}`}),this.log("Service worker configuration synced")}catch(e){this.logError("Failed to sync service worker configuration:",e)}}initNetworkMonitor(){const e=navigator.connection;e?(this.updateNetworkInfo(),e.addEventListener("change",this.handleConnectionChange),this.log("Network monitor initialized:",this.networkInfo)):this.log("Network Information API not supported")}updateNetworkInfo(){const{effectiveType:e,downlink:t,rtt:i,saveData:r}=navigator.connection;let s;s=r?"save-data":"slow-2g"===e||"2g"===e?"slow":"3g"===e||i>300||t<1.5?"medium":"fast",this.networkInfo={effectiveType:e,downlink:t,rtt:i,saveData:!!r,quality:s}}handleConnectionChange(){const e=this.networkInfo.quality;if(this.updateNetworkInfo(),this.networkInfo.quality!==e){this.log(`Network changed: ${e} -> ${this.networkInfo.quality}`),this.emit("network:change",{...this.networkInfo,previousQuality:e}),u.indexOf(this.networkInfo.quality)<u.indexOf(e)&&this.cancelPrefetches("network",e=>this.isLowPriority(e)||!this.isTriggerAllowed(e.trigger));for(const[e,t]of this.prefetchQueue)this.isTriggerAllowed(t.trigger)||(this.prefetchQueue.delete(e),this.emit("prefetch:skipped",e,{reason:"network",trigger:t.trigger}));this.processQueue()}}isTriggerAllowed(e){const{quality:t}=this.networkInfo;if(!this.config.ADAPTIVE_NETWORK||"unknown"===t)return!0;const i=this.config.TRIGGER_MIN_NETWORK[e]||"medium";return u.indexOf(t)>=u.indexOf(i)}getMaxConcurrency(){if(!this.config.ADAPTIVE_NETWORK)return this.config.MAX_CONCURRENT_PREFETCH;switch(this.networkInfo.quality){case"fast":return Math.max(this.config.MAX_CONCURRENT_PREFETCH,this.config.MAX_CONCURRENT_PREFETCH_FAST);case"slow":case"save-data":return 1;default:return this.config.MAX_CONCURRENT_PREFETCH}}initPerformanceObserver(){if("PerformanceObserver"in window)try{this.performanceObserver=new PerformanceObserver(e=>{e.getEntries().forEach(this.handlePerformanceEntry.bind(this))}),this.performanceObserver.observe({entryTypes:["navigation","resource","measure"]}),this.log("PerformanceObserver initialized")}catch(e){this.logError("PerformanceObserver initialization failed:",e)}}initIntersectionObserver(){"IntersectionObserver"in window&&(this.intersectionObserver=new IntersectionObserver(this.handleIntersection.bind(this),{threshold:.1,rootMargin:"50px"}),this.log("IntersectionObserver initialized"))}attachEventListeners(){const e={passive:!0,capture:!0};if(document.addEventListener("touchstart",this.handleTouchStart.bind(this),e),document.addEventListener("mouseover",this.handleMouseOver.bind(this),e),document.addEventListener("mouseout",this.handleMouseOut,e),this.config.HOVER_TRAJECTORY&&this.config.HOVER_INTENT_DELAY>0&&document.addEventListener("mousemove",this.handlePointerMove,e),document.addEventListener("click",this.handleClick.bind(this),e),document.addEventListener("visibilitychange",this.handleVisibilityChange.bind(this)),window.addEventListener("pagehide",this.handlePageHide),window.navigation?.addEventListener("navigate",this.handleNavigate),this.observeLinks(),"MutationObserver"in window){new MutationObserver(()=>{this.linksByUrl=null,this.observeLinks()}).observe(document.body,{childList:!0,subtree:!0})}}observeLinks(){this.intersectionObserver&&document.querySelectorAll("a[href]").forEach(e=>{e.dataset.velocityCacheObserved||(this.intersectionObserver.observe(e),e.dataset.velocityCacheObserved="true","eager"===this.getLinkOptions(e).mode&&this.prefetchLink(e,"eager"))})}handleIntersection(e){e.forEach(e=>{if(e.isIntersecting?this.visibleLinks.add(e.target):this.visibleLinks.delete(e.target),e.isIntersecting&&e.target.href){const t=this.getLinkOptions(e.target);this.processLink(e.target.href,"visible",t.priority??1,t)}})}handleTouchStart(e){const t=this.findLinkElement(e.target);t&&this.prefetchLink(t,"touch")}handleMouseOver(e){const t=this.findLinkElement(e.target);if(!t)return;const i=this.config.HOVER_INTENT_DELAY;if(!i)return void this.prefetchLink(t,"hover");const r=this.hoverIntent;if(r.link===t)return;this.cancelHoverIntent();const s=performance.now(),{approach:n}=r,o=n?.link===t&&n.decelerating&&s-n.seen<500?Math.min(s-n.since,.5*i):0;o>0&&r.headStarts++,r.link=t,r.timer=setTimeout(()=>{r.timer=null,r.accepted++,this.prefetchLink(t,"hover")},Math.max(0,i-o))}handleMouseOut(e){const{link:t}=this.hoverIntent;t&&t.contains(e.target)&&(e.relatedTarget&&t.contains(e.relatedTarget)||this.cancelHoverIntent())}cancelHoverIntent(){const e=this.hoverIntent;e.timer&&(clearTimeout(e.timer),e.cancelled++),e.timer=null,e.link=null}handlePointerMove(e){const t=this.hoverIntent,i=performance.now(),r=t.pointer;if(r&&i-r.time<50)return;if(t.pointer={x:e.clientX,y:e.clientY,time:i},!r)return;const s=e.clientX-r.x,n=e.clientY-r.y,o=Math.hypot(s,n),a=o/(i-r.time);if(a<.3)return void(t.approach&&(t.approach.decelerating=!0));const c=this.findApproachedLink(e.clientX,e.clientY,s/o,n/o),{approach:l}=t;c?l?.link===c&&i-l.seen<500?(l.seen=i,l.peakSpeed=Math.max(l.peakSpeed,a),l.decelerating=a<.6*l.peakSpeed):t.approach={link:c,since:i,seen:i,peakSpeed:a,decelerating:!1}:t.approach=null}findApproachedLink(e,t,i,r){let s=null,n=this.config.HOVER_TRAJECTORY_RANGE;for(const o of this.visibleLinks){if(!o.isConnected){this.visibleLinks.delete(o);continue}if(o===this.hoverIntent.link)continue;const a=o.getBoundingClientRect(),c=d(e,t,i,r,{left:a.left-8,right:a.right+8,top:a.top-8,bottom:a.bottom+8});c>0&&c<=n&&(s=o,n=c)}return s}handleClick(e){const t=this.findLinkElement(e.target);t&&(!window.navigation&&this.isSameTabClick(e,t)&&this.announceNavigation(t.href),this.prefetchLink(t,"click"),this.updateAnalytics(t.href),this.recordTransition(window.location.href,t.href),this.recordVitalsNavigation(t.href))}isSameTabClick(e,t){return!(0!==e.button||e.metaKey||e.ctrlKey||e.shiftKey||e.altKey||t.target&&"_self"!==t.target||t.hasAttribute("download"))}handlePageHide(){this.cancelPrefetches("navigation",e=>this.isLowPriority(e))}handleVisibilityChange(){document.hidden?this.pausePrefetching():this.resumePrefetching()}prefetchLink(e,t){const i=this.getLinkOptions(e);this.processLink(e.href,t,this.calculatePriority(e,t,i),i)}getLinkOptions(e){const t=t=>e.closest(`[${t}]`)?.getAttribute(t)??null,i=t("data-velocity")?.trim().toLowerCase(),s=Number.parseFloat(t("data-velocity-priority")),n=t("data-velocity-prerender")?.trim().toLowerCase(),o={mode:r.includes(i)?i:null,blockedBy:this.getLinkAttributeRule(e),priority:Number.isFinite(s)?s:null,prerender:void 0===n?null:"false"!==n,strategy:t("data-velocity-strategy"),cacheName:t("data-velocity-cache")},{PREFETCH_ALLOW_SELECTORS:a,PREFETCH_DENY_SELECTORS:c}=this.config;return c.length&&this.matchesSelectors(e,c)?o.mode="off":!a.length||o.mode||this.matchesSelectors(e,a)||(o.mode="off"),o}getLinkAttributeRule(e){return e.hasAttribute("download")?"download":"_blank"===e.target?"target=_blank":e.relList?.contains("nofollow")?"rel=nofollow":null}getBlockingRule(e,t={}){if(t.blockedBy)return t.blockedBy;const i=new URL(e,window.location.origin),{PREFETCH_INCLUDE:r,PREFETCH_EXCLUDE:s}=this.config,o=(this.config.PREFETCH_DEFAULT_EXCLUDES?[...s,...n]:s).find(e=>this.matchesUrlRule(e,i));return o?`exclude ${h(o)}`:r.length&&!r.some(e=>this.matchesUrlRule(e,i))?"include":null}matchesUrlRule(e,t){try{if("function"==typeof e)return Boolean(e(t));const i=t.pathname+t.search;if(e instanceof RegExp)return e.lastIndex=0,e.test(i);if("string"==typeof e)return(e=>{if(!o.has(e)){const t=e.split("**").map(e=>e.replace(/[.+?^${}()|[\]\\]/g,"\\$&").replace(/\*/g,"[^/?]*")).join(".*"),i=e.includes("?")?"":"(?:\\?.*)?";o.set(e,new RegExp(`^${t}${i}$`))}return o.get(e)})(e).test(i)}catch(t){this.logError(`URL rule ${h(e)} failed:`,t)}return!1}getWorkerUrlRules(){const{PREFETCH_INCLUDE:e,PREFETCH_EXCLUDE:t}=this.config,i=e=>"function"==typeof e;return{INCLUDE:e.some(i)?[]:e,EXCLUDE:t.filter(e=>!i(e)),DEFAULT_EXCLUDES:this.config.PREFETCH_DEFAULT_EXCLUDES}}matchesSelectors(e,t){return t.some(t=>{try{return null!==e.closest(t)}catch(e){return this.logError(`Invalid selector ${t}:`,e),!1}})}findLinkForUrl(e){if(!this.linksByUrl){this.linksByUrl=new Map;for(const e of document.links){const t=this.sanitizeUrl(e.href);this.linksByUrl.has(t)||this.linksByUrl.set(t,e)}}const t=this.linksByUrl.get(e);return t?.isConnected?t:null}calculatePriority(e,t,i=this.getLinkOptions(e)){if(null!==i.priority)return i.priority;let r=this.config.PRIORITY_WEIGHTS[t]||1;e.classList.contains("priority-high")&&(r*=2),e.closest("nav")&&(r*=1.5),e.closest(".main-content")&&(r*=1.3);const s=this.urlAnalytics.get(e.href);return s&&(r*=1+.1*s.visitCount),Math.round(r)}async processLink(e,t,i=1,r={}){if(!this.isValidUrl(e))return void this.emit("prefetch:skipped",e,{reason:"invalid-url",trigger:t});const n=this.sanitizeUrl(e),o=this.getBlockingRule(n,r);if(o)return this.log(`Skipped ${n}: blocked by ${o}`),void this.emit("prefetch:skipped",n,{reason:"rule",rule:o,trigger:t});if("off"===r.mode||"hover"===r.mode&&!s.includes(t))return this.log(`Skipped ${n}: data-velocity="${r.mode}" or a deny selector`),void this.emit("prefetch:skipped",n,{reason:"opt-out",trigger:t});if(!this.isTriggerAllowed(t))return void this.emit("prefetch:skipped",n,{reason:"network",trigger:t});const a=this.prefetchedUrls.get(n);if(a&&a.priority>=i)this.emit("prefetch:skipped",n,{reason:"already-prefetched",trigger:t});else if("holdout"!==this.experimentGroup)try{if(!this.enqueuePrefetch({url:n,trigger:t,priority:i,prerender:r.prerender??null,strategy:r.strategy||null,cacheName:r.cacheName||null,timestamp:Date.now()}))return;await this.processQueue(),this.log(`Queued ${n} via ${t} (priority: ${i})`)}catch(t){this.logError(`Failed to process ${e}:`,t)}else this.emit("prefetch:skipped",n,{reason:"holdout",trigger:t})}enqueuePrefetch(e){const t=this.prefetchQueue.get(e.url);if(t)return e.priority>t.priority&&this.prefetchQueue.set(e.url,{...e,timestamp:t.timestamp}),!0;if(this.prefetchQueue.size>=this.config.MAX_QUEUE_SIZE){const t=this.rankQueue().pop();if(!t||this.getEffectivePriority(t)>=e.priority)return this.dropQueued(e),!1;this.prefetchQueue.delete(t.url),this.dropQueued(t)}return this.prefetchQueue.set(e.url,e),this.schedulerStats.peakDepth=Math.max(this.schedulerStats.peakDepth,this.prefetchQueue.size),!0}dropQueued(e){this.schedulerStats.dropped++,this.log(`Queue full, dropped ${e.url}`),this.emit("prefetch:skipped",e.url,{reason:"queue-full",trigger:e.trigger})}getEffectivePriority(e,t=Date.now()){const i=this.config.PRIORITY_AGING_INTERVAL;if(!i||e.priority>=10)return e.priority;const r=e.priority+Math.floor((t-e.timestamp)/i);return Math.min(r,10)}rankQueue(){const e=Date.now();return Array.from(this.prefetchQueue.values()).map(t=>({item:t,rank:this.getEffectivePriority(t,e)})).sort((e,t)=>t.rank-e.rank||e.item.timestamp-t.item.timestamp).map(({item:e})=>e)}hasTriggerBudget(e){const t=this.config.TRIGGER_BUDGETS[e];if(void 0===t)return!0;let i=0;for(const t of this.inFlightPrefetches.values())t.item.trigger===e&&i++;return i<t}async processQueue(){if(this.isPaused||this.isDestroyed)return;const e=this.getMaxConcurrency();for(const t of this.rankQueue())if(this.hasTriggerBudget(t.trigger))if(!this.isLowPriority(t)||this.inIdlePeriod){if(this.prefetchSemaphore>=e){this.preemptFor(t);break}this.startPrefetch(t)}else this.requestIdleProcessing()}requestIdleProcessing(){var e,t;this.idleRequested||(this.idleRequested=!0,e=()=>{if(this.idleRequested=!1,!this.isDestroyed){this.inIdlePeriod=!0;try{this.processQueue()}finally{this.inIdlePeriod=!1}}},t=this.config.IDLE_PREFETCH_TIMEOUT,"function"==typeof requestIdleCallback?requestIdleCallback(e,{timeout:t}):"undefined"!=typeof scheduler&&"function"==typeof scheduler.postTask?scheduler.postTask(e,{priority:"background"}).catch(()=>{}):setTimeout(e,1))}startPrefetch(e){const{url:t}=e,i=Date.now()-e.timestamp;this.prefetchSemaphore++,this.prefetchQueue.delete(t),this.schedulerStats.started++,this.schedulerStats.totalWait+=i,this.schedulerStats.maxWait=Math.max(this.schedulerStats.maxWait,i);const r={item:e,controller:new AbortController,reason:null};this.inFlightPrefetches.set(t,r),this.emit("prefetch:start",t,{trigger:e.trigger,priority:e.priority,wait:i}),this.prefetchResource(e,r.controller.signal).finally(()=>{this.prefetchSemaphore--,this.inFlightPrefetches.get(t)===r&&this.inFlightPrefetches.delete(t),this.processQueue()})}getSchedulerStats(){const e=Date.now(),{started:t,dropped:i,peakDepth:r,totalWait:s,maxWait:n}=this.schedulerStats,o={},a=(e,t)=>{o[e]=o[e]||{queued:0,inFlight:0,budget:this.config.TRIGGER_BUDGETS[e]??null},o[e][t]++};this.prefetchQueue.forEach(e=>a(e.trigger,"queued")),this.inFlightPrefetches.forEach(({item:e})=>a(e.trigger,"inFlight"));let c=0;return this.prefetchQueue.forEach(t=>{c=Math.max(c,e-t.timestamp)}),{depth:this.prefetchQueue.size,peakDepth:r,maxDepth:this.config.MAX_QUEUE_SIZE,inFlight:this.inFlightPrefetches.size,slots:this.getMaxConcurrency(),paused:this.isPaused,started:t,dropped:i,avgWait:t>0?Math.round(s/t):null,maxWait:n,oldestWait:c,byTrigger:o}}isLowPriority(e){return e.priority<this.config.LOW_PRIORITY_THRESHOLD}cancelPrefetches(e,t){let i=0;for(const r of this.inFlightPrefetches.values())!r.reason&&t(r.item)&&(r.reason=e,r.controller.abort(new DOMException(`Prefetch cancelled (${e})`,"AbortError")),i++);return i>0&&this.log(`Cancelled ${i} prefetch(es): ${e}`),i}preemptFor(e){let t=null;for(const i of this.inFlightPrefetches.values())i.reason||!this.isLowPriority(i.item)||i.item.priority>=e.priority||(!t||i.item.priority<t.item.priority)&&(t=i);t&&this.cancelPrefetches("preempted",e=>e===t.item)}handleCancelledPrefetch(e,t){const i=this.config.CANCELLED_PREFETCH_POLICY[t]||"drop",r=e.requeues||0,s="requeue"===i&&r<3&&this.isTriggerAllowed(e.trigger)&&this.enqueuePrefetch({...e,requeues:r+1});this.emit("prefetch:cancelled",e.url,{reason:t,requeued:s,trigger:e.trigger,priority:e.priority})}async prefetchResource(e,t){const{url:i,trigger:r,priority:s,prerender:n,strategy:o,cacheName:a}=e;try{const e=this.prefetchedUrls.get(i);if(e&&Date.now()-e.timestamp<6e4)return void this.emit("prefetch:skipped",i,{reason:"recently-prefetched",trigger:r});const c=performance.now(),l=[];l.push(this.speculationRulesSupported?this.speculationPrefetch(i,s,t):this.nativePrefetch(i,t)),this.broadcastChannel&&this.isServiceWorkerReady&&"network-only"!==o&&l.push(this.serviceWorkerPrefetch(i,s,{strategy:o,cacheName:a,signal:t}));const h=await Promise.allSettled(l);t?.throwIfAborted();const d=h.filter(e=>"rejected"===e.status);if(d.length===h.length)throw d[0].reason;this.prefetchedUrls.set(i,{timestamp:Date.now(),trigger:r,priority:s,loadTime:performance.now()-c}),await this.storeInCache(i,r,s,t),t?.throwIfAborted(),(n??s>=8)&&new URL(i).origin===window.location.origin&&this.prerenderPage(i,Math.max(s,8)),this.showVisualFeedback(`Prefetched: ${i}`),this.emit("prefetch:complete",i,!0,{trigger:r,priority:s})}catch(n){if(t?.aborted)return void this.handleCancelledPrefetch(e,this.inFlightPrefetches.get(i)?.reason);this.logError(`Prefetch failed for ${i}:`,n),this.emit("prefetch:error",i,n?.message||String(n),{trigger:r,priority:s}),this.emit("prefetch:complete",i,!1,{trigger:r,priority:s})}}async nativePrefetch(e,t){return new Promise((i,r)=>{const s=document.createElement("link");t?.addEventListener("abort",()=>{r(t.reason),s.remove()},{once:!0}),s.rel="prefetch",s.href=e,s.as="document",s.crossOrigin="anonymous",s.onload=()=>{i(),setTimeout(()=>s.remove(),1e3)},s.onerror=()=>{r(new Error(`Native prefetch failed for ${e}`)),s.remove()},document.head.appendChild(s),setTimeout(()=>{r(new Error("Prefetch timeout")),s.remove()},this.config.PREFETCH_TIMEOUT)})}async speculationPrefetch(e,t,i){this.addSpeculationCandidate("prefetch",e,t,this.config.SPECULATION_PREFETCH_TTL),i?.addEventListener("abort",()=>this.removeSpeculationCandidate("prefetch",e),{once:!0})}getSpeculationEagerness(e){const t=this.config.SPECULATION_EAGERNESS;return e>=t.immediate?"immediate":e>=t.eager?"eager":e>=t.moderate?"moderate":"conservative"}addSpeculationCandidate(e,t,i,r){const s=this.speculationCandidates[e],n=this.getSpeculationEagerness(i),o=s.get(t);o?clearTimeout(o.timer):"prerender"===e&&s.size>=this.config.MAX_PRERENDERS&&this.removeSpeculationCandidate(e,s.keys().next().value,!1),s.set(t,{eagerness:o&&o.priority>i?o.eagerness:n,priority:Math.max(i,o?.priority||0),timer:setTimeout(()=>this.removeSpeculationCandidate(e,t),r)}),this.renderSpeculationRules()}removeSpeculationCandidate(e,t,i=!0){const r=this.speculationCandidates[e].get(t);r&&(clearTimeout(r.timer),this.speculationCandidates[e].delete(t),"prerender"===e&&this.prerenderedUrls.delete(t),i&&this.renderSpeculationRules())}renderSpeculationRules(){const e={};for(const[t,i]of Object.entries(this.speculationCandidates)){const r=new Map;i.forEach(({eagerness:e},t)=>{r.has(e)||r.set(e,[]),r.get(e).push(t)}),r.size>0&&(e[t]=Array.from(r,([e,t])=>({source:"list",urls:t,eagerness:e})))}if(this.speculationScript?.remove(),this.speculationScript=null,0===Object.keys(e).length)return;const t=document.createElement("script");t.type="speculationrules",t.textContent=JSON.stringify(e),document.head.appendChild(t),this.speculationScript=t}async serviceWorkerPrefetch(e,t,{strategy:i=null,cacheName:r=null,signal:s}={}){const n=()=>{this.sendWorkerCommand("ABORT_PREFETCH",{url:e,requester:this.requesterId}).catch(()=>{})};s?.addEventListener("abort",n,{once:!0});try{await this.sendWorkerCommand("PREFETCH",{url:e,priority:t,strategy:i,cacheName:r,requester:this.requesterId},this.config.PREFETCH_TIMEOUT,s)}finally{s?.removeEventListener("abort",n)}}sendWorkerCommand(e,t={},i=this.config.SW_COMMAND_TIMEOUT,r){const s=navigator.serviceWorker?.controller||this.swRegistration?.active;return s||this.broadcastChannel?r?.aborted?Promise.reject(r.reason):new Promise((n,o)=>{const a=`${e.toLowerCase()}_${Date.now()}_${Math.random()}`,c=()=>{clearTimeout(h),this.broadcastChannel?.removeEventListener("message",d),navigator.serviceWorker?.removeEventListener("message",d),r?.removeEventListener("abort",l)},l=()=>{c(),o(r.reason)};r?.addEventListener("abort",l,{once:!0});const h=setTimeout(()=>{c(),o(new Error(`Service worker ${e} timed out`))},i),d=t=>{t.data?.messageId===a&&(c(),!1===t.data.success?o(new Error(t.data.message||`Service worker ${e} failed`)):n(t.data))};this.broadcastChannel?.addEventListener("message",d),navigator.serviceWorker?.addEventListener("message",d);try{(s||this.broadcastChannel).postMessage({type:e,...t,messageId:a})}catch(e){c(),o(e)}}):Promise.reject(new Error("Service worker not available"))}sanitizeHtml(e){if(this.domPurify)return this.domPurify.sanitize(e,{ALLOWED_TAGS:["p","br","strong","em","u","h1","h2","h3","h4","h5","h6"],ALLOWED_ATTR:["class","id"],KEEP_CONTENT:!0,RETURN_DOM:!1});const t=document.createElement("div");t.textContent=e;let i=t.innerHTML;return i=i.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi,""),i=i.replace(/on\w+\s*=\s*["'][^"']*["']/gi,""),i=i.replace(/javascript:/gi,""),i=i.replace(/data:/gi,""),i=i.replace(/vbscript:/gi,""),i}async storeInCache(e,t,i,r){if(this.db)try{const s=await this.fetchResponseForCache(e,r);if(!s)return;const n={url:e,timestamp:Date.now(),lastAccessed:Date.now(),accessCount:1,trigger:t,priority:i,...s,version:this.config.CACHE_VERSION},o=this.db.transaction([this.config.STORE_NAME],"readwrite").objectStore(this.config.STORE_NAME),a=o.get(e);await new Promise((e,t)=>{a.onsuccess=()=>{a.result&&(n.accessCount=a.result.accessCount+1);const i=o.put(n);i.onsuccess=()=>e(),i.onerror=()=>t(i.error)},a.onerror=()=>{const i=o.put(n);i.onsuccess=()=>e(),i.onerror=()=>t(i.error)}}),this.emit("cache:stored",e,{trigger:t,priority:i}),await this.cleanupOldEntries()}catch(e){this.logError("Failed to store in cache:",e)}}async cleanupOldEntries(){if(!this.db)return;if(this.cleanupWorker&&this.cleanupInProgress){if(Date.now()-this.cleanupStartedAt<6e4)return;this.logError("Background cleanup did not finish, starting another pass")}const{maxBytes:e,storedBytes:r}=await this.getIndexedDBBudget();if(this.cleanupWorker)return this.cleanupInProgress=!0,this.cleanupStartedAt=Date.now(),void this.cleanupWorker.postMessage({type:"CLEANUP",dbName:this.config.DB_NAME,storeName:this.config.STORE_NAME,maxEntries:this.config.MAX_CACHED_LINKS,maxBytes:e,storedBytes:r});try{const s=this.db.transaction([this.config.STORE_NAME],"readwrite").objectStore(this.config.STORE_NAME),n=s.count();if(await new Promise(e=>{n.onsuccess=()=>e(n.result)})>this.config.MAX_CACHED_LINKS||r>e){const r=await new Promise(e=>{const i=[];s.openCursor().onsuccess=r=>{const s=r.target.result;s?(i.push({url:s.value.url,size:s.value.size||0,score:t(s.value)}),s.continue()):e(i)}}),n=i(r,this.config.MAX_CACHED_LINKS,e);for(const e of n)s.delete(e.url);this.log(`Cleaned up ${n.length} old cache entries`),this.emit("cache:evicted",n.map(e=>e.url),{count:n.length})}}catch(e){this.logError("Cleanup failed:",e)}}async getStorageEstimate(){if(!navigator.storage?.estimate)return null;try{return await navigator.storage.estimate()}catch(e){return this.log("Storage estimate unavailable:",e),null}}async getStoredBytes(){if(!this.db)return 0;const e=this.db.transaction([this.config.STORE_NAME],"readonly").objectStore(this.config.STORE_NAME);return e.indexNames.contains("size")?new Promise((t,i)=>{let r=0;const s=e.index("size").openKeyCursor();s.onsuccess=e=>{const i=e.target.result;i?(r+=i.key,i.continue()):t(r)},s.onerror=()=>i(s.error)}):0}async getIndexedDBBudget(){let e=this.config.MAX_CACHED_BYTES,t=0;try{const[i,r]=await Promise.all([this.getStorageEstimate(),this.getStoredBytes()]);if(t=r,i&&i.quota){const r=i.quota*Math.min(this.config.STORAGE_QUOTA_RATIO,1),s=i.usage-r;s>0&&(e=Math.min(e,Math.max(0,t-s)))}}catch(e){this.logError("Failed to measure storage:",e)}return{maxBytes:e,storedBytes:t}}initCleanupWorker(){if(this.config.CLEANUP_IN_WORKER&&"Worker"in window)try{const e=`\n                    const evictionScore = ${t.toString()};\n                    const selectEvictions = ${i.toString()};\n\n                    self.onmessage = function(e) {\n                        if (e.data.type !== 'CLEANUP') return;\n\n                        const { dbName, storeName, maxEntries, maxBytes, storedBytes } = e.data;\n                        const fail = (error) => self.postMessage({\n                            type: 'CLEANUP_ERROR',\n                            error: String(error && error.message || error)\n                        });\n\n                        // Open without a version so we never trigger an upgrade\n                        const request = indexedDB.open(dbName);\n                        request.onerror = () => fail(request.error);\n                        request.onsuccess = () => {\n                            const db = request.result;\n                            const removed = [];\n                            let transaction;\n\n                            try {\n                                transaction = db.transaction([storeName], 'readwrite');\n                            } catch (error) {\n                                db.close();\n                                fail(error);\n                                return;\n                            }\n\n                            const store = transaction.objectStore(storeName);\n                            const countRequest = store.count();\n\n                            countRequest.onsuccess = () => {\n                                if (countRequest.result <= maxEntries && storedBytes <= maxBytes) return;\n\n                                const entries = [];\n                                store.openCursor().onsuccess = (event) => {\n                                    const cursor = event.target.result;\n                                    if (cursor) {\n                                        entries.push({\n                                            url: cursor.value.url,\n                                            size: cursor.value.size || 0,\n                                            score: evictionScore(cursor.value)\n                                        });\n                                        cursor.continue();\n                                        return;\n                                    }\n\n                                    selectEvictions(entries, maxEntries, maxBytes).forEach(entry => {\n                                        store.delete(entry.url);\n                                        removed.push(entry.url);\n                                    });\n                                };\n                            };\n\n                            transaction.oncomplete = () => {\n                                db.close();\n                                self.postMessage({ type: 'CLEANUP_COMPLETE', removed: removed.length, urls: removed });\n                            };\n                            transaction.onabort = () => {\n                                db.close();\n                                fail(transaction.error || 'Cleanup transaction aborted');\n                            };\n                        };\n                    };\n                `,r=new Blob([e],{type:"application/javascript"});this.cleanupWorkerUrl=URL.createObjectURL(r),this.cleanupWorker=new Worker(this.cleanupWorkerUrl),this.cleanupWorker.onmessage=e=>{this.cleanupInProgress=!1,"CLEANUP_COMPLETE"===e.data.type?(this.log(`Background cleanup removed ${e.data.removed} entries`),e.data.removed>0&&this.emit("cache:evicted",e.data.urls,{count:e.data.removed})):"CLEANUP_ERROR"===e.data.type&&this.logError("Background cleanup failed:",e.data.error)},this.cleanupWorker.onerror=e=>{e.preventDefault?.(),this.logError("Cleanup worker unavailable, using main thread:",e.message),this.cleanupWorker.terminate(),this.cleanupWorker=null,this.cleanupInProgress&&(this.cleanupInProgress=!1,this.cleanupOldEntries())},this.log("Cleanup worker initialized")}catch(e){this.cleanupWorker=null,this.logError("Failed to create cleanup worker:",e)}}async clearCache(){try{if("caches"in window){const e=await caches.keys();await Promise.all(e.map(e=>caches.delete(e))),log(`Cleared ${e.length} browser caches`,"success")}updateStats(),log("Cleanup completed","success")}catch(e){log("Cleanup error: "+e.message,"error")}}async invalidateCache(t){if(this.db)try{const i=this.db.transaction([this.config.STORE_NAME],"readwrite").objectStore(e.STORE_NAME);i.openCursor().onsuccess=e=>{const i=e.target.result;i&&(i.value.url.match(t)&&(i.delete(),this.prefetchedUrls.delete(i.value.url)),i.continue())},this.invalidate(t).catch(e=>{this.log("Service worker invalidation failed:",e.message)})}catch(e){this.logError("Cache invalidation failed:",e)}}showVisualFeedback(e){if(!this.config.VISUAL_FEEDBACK)return;let t=document.getElementById("velocity-cache-feedback");t||(t=document.createElement("div"),t.id="velocity-cache-feedback",t.style.cssText="\n                    position: fixed;\n                    top: 10px;\n                    right: 10px;\n                    background: rgba(0, 100, 200, 0.9);\n                    color: white;\n                    padding: 8px 12px;\n                    border-radius: 4px;\n                    font-size: 16px;\n                    z-index: 10000;\n                    transition: opacity 0.3s ease;\n                    pointer-events: none;\n                ",document.body.appendChild(t)),t.textContent=e,t.style.opacity="1",clearTimeout(t.hideTimeout),t.hideTimeout=setTimeout(()=>{t.style.opacity="0"},1500)}handlePerformanceEntry(e){if("resource"===e.entryType){const t=this.urlAnalytics.get(e.name)||{visitCount:0,totalLoadTime:0,avgLoadTime:0};t.visitCount++,t.totalLoadTime+=e.duration,t.avgLoadTime=t.totalLoadTime/t.visitCount,this.urlAnalytics.set(e.name,t)}}initVitals(){if(!this.config.VITALS_ENDPOINT||!("PerformanceObserver"in window))return;if(!navigator.sendBeacon)return void this.log("sendBeacon not supported, Web Vitals disabled");if(this.flushVitals(),Math.random()>=this.config.VITALS_SAMPLE_RATE)return;const[e]=performance.getEntriesByType("navigation");this.vitals={id:this.createVitalsId(),navigation:e,activationStart:e?.activationStart||0,attribution:this.getNavigationAttribution(e),lcp:null,cls:0,clsWindow:{value:0,start:0,last:0},interactions:new Map,lastReported:null},this.observeVitals("largest-contentful-paint",e=>{this.vitals.soft||(this.vitals.lcp=Math.max(0,e.startTime-this.vitals.activationStart))}),this.observeVitals("layout-shift",e=>this.addLayoutShift(e)),this.observeVitals("event",e=>{if(!e.interactionId||this.vitals.soft&&e.startTime<this.vitals.activationStart)return;const t=this.vitals.interactions.get(e.interactionId)||0;this.vitals.interactions.set(e.interactionId,Math.max(t,e.duration))},{durationThreshold:40}),document.addEventListener("visibilitychange",this.handleVitalsHidden),window.addEventListener("pagehide",this.handleVitalsHidden),this.log("Web Vitals reporting enabled")}createVitalsId(){return`${Date.now().toString(36)}-${Math.random().toString(36).slice(2,10)}`}observeVitals(e,t,i={}){if(PerformanceObserver.supportedEntryTypes?.includes(e))try{const r=new PerformanceObserver(e=>e.getEntries().forEach(t));r.observe({type:e,buffered:!0,...i}),this.vitalsObservers.push({observer:r,handler:t})}catch(t){this.logError(`Observing ${e} failed:`,t)}}addLayoutShift(e){if(e.hadRecentInput||this.vitals.soft&&e.startTime<this.vitals.activationStart)return;const t=this.vitals.clsWindow;t.value&&e.startTime-t.last<1e3&&e.startTime-t.start<5e3?t.value+=e.value:(t.value=e.value,t.start=e.startTime),t.last=e.startTime,this.vitals.cls=Math.max(this.vitals.cls,t.value)}getInteractionToNextPaint(){const e=Array.from(this.vitals.interactions.values()).sort((e,t)=>t-e);return 0===e.length?null:e[Math.min(e.length-1,Math.floor(e.length/50))]}getNavigationAttribution(e){let t=null;try{t=JSON.parse(sessionStorage.getItem(m)),sessionStorage.removeItem(m)}catch{}const i=t?.url===this.sanitizeUrl(window.location.href)&&Date.now()-t.timestamp<3e4&&"navigate"===e?.type,r=e?.serverTiming?.find(e=>"velocity"===e.name);let s="network";return e?.activationStart>0?s="prerender":"navigational-prefetch"===e?.deliveryType?s="prefetch":r?s="sw-cache":("cache"===e?.deliveryType||0===e?.transferSize&&e?.decodedBodySize>0)&&(s="http-cache"),{source:s,prefetched:Boolean(i&&t.prefetched),trigger:i?t.trigger:null}}recordVitalsNavigation(e){if(!this.config.VITALS_ENDPOINT||!this.isValidUrl(e))return;const t=this.sanitizeUrl(e),i=this.prefetchedUrls.get(t);try{sessionStorage.setItem(m,JSON.stringify({url:t,prefetched:Boolean(i),trigger:i?.trigger||null,timestamp:Date.now()}))}catch{}}handleVitalsHidden(e){"visibilitychange"===e.type&&"hidden"!==document.visibilityState||this.finishVitalsRecord()}finishVitalsRecord(){if(!this.vitals)return;this.vitalsObservers.forEach(({observer:e,handler:t})=>e.takeRecords().forEach(t));const e=this.buildVitalsRecord(),t=JSON.stringify(e.metrics);t!==this.vitals.lastReported&&(this.vitals.lastReported=t,this.emit("vitals:report",e),this.queueVitalsRecord(e),this.flushVitals())}startSoftNavigationVitals(e,t,i,r){if(!this.vitals)return;const s=this.prefetchedUrls.get(this.sanitizeUrl(e));this.vitals={id:this.createVitalsId(),navigation:null,soft:{ttfb:r-i,load:performance.now()-i},activationStart:i,attribution:{source:t,prefetched:Boolean(s),trigger:s?.trigger||null},lcp:null,cls:0,clsWindow:{value:0,start:0,last:0},interactions:new Map,lastReported:null}}buildVitalsRecord(){const{navigation:e,activationStart:t,attribution:i,soft:r}=this.vitals,s=e=>e>0?Math.max(0,e-t):null,n=performance.getEntriesByName("first-contentful-paint")[0];return{id:this.vitals.id,url:this.sanitizeUrl(window.location.href),timestamp:Date.now(),navigationType:r?"soft":e?.type||null,...i,connection:this.networkInfo.quality,group:this.experimentGroup,metrics:{ttfb:r?r.ttfb:s(e?.responseStart),fcp:n&&!r?s(n.startTime):null,lcp:this.vitals.lcp,cls:this.vitals.cls,inp:this.getInteractionToNextPaint(),domContentLoaded:s(e?.domContentLoadedEventEnd),load:r?r.load:s(e?.loadEventEnd)}}}queueVitalsRecord(e){try{const t=JSON.parse(localStorage.getItem(E))||[],i=t.findIndex(t=>t.id===e.id);-1===i?t.push(e):t[i]={...e,timestamp:t[i].timestamp},localStorage.setItem(E,JSON.stringify(t))}catch{this.sendVitals([e])}}flushVitals(){try{const e=JSON.parse(localStorage.getItem(E))||[];if(0===e.length)return;const t=e.length>=this.config.VITALS_BATCH_SIZE,i=Date.now()-e[0].timestamp>=this.config.VITALS_MAX_BATCH_AGE;if(!t&&!i)return;this.sendVitals(e)&&localStorage.removeItem(E)}catch(e){this.logError("Failed to flush Web Vitals:",e)}}sendVitals(e){const t=navigator.sendBeacon(this.config.VITALS_ENDPOINT,JSON.stringify({records:e}));return this.log(`Web Vitals batch of ${e.length} ${t?"sent":"refused"}`),t}handleBroadcastMessage(e){const{type:t,data:i}=e.data;switch(t){case"PREFETCH_COMPLETE":this.log("SW prefetch completed:",i.url);break;case"CACHE_UPDATED":this.log("Cache updated:",i.url);break;case"CACHE_UPDATE":this.emit("cache:update",e.data.url,{action:e.data.action});break;case"CACHE_HIT":this.emit("cache:hit",e.data.url,{cacheName:e.data.cacheName});break;case"CACHE_MISS":this.emit("cache:miss",e.data.url,{cacheName:e.data.cacheName});break;case"CACHE_FALLBACK":this.emit("cache:fallback",e.data.url,{cacheName:e.data.cacheName});break;case"OUTBOX_QUEUED":this.emit("outbox:queued",e.data.url,{id:e.data.id,method:e.data.method});break;case"OUTBOX_REPLAYED":this.emit("outbox:replayed",e.data.url,{id:e.data.id,method:e.data.method,status:e.data.status});break;case"OUTBOX_FAILED":this.emit("outbox:failed",e.data.url,{id:e.data.id,method:e.data.method,status:e.data.status,reason:e.data.reason});break;case"PRECACHE_UPDATED":this.emit("precache:updated",{updated:e.data.updated,total:e.data.total});break;case"ERROR":this.logError("SW error:",i.error)}}startCleanupScheduler(){this.cleanupTimer=setInterval(()=>{this.cleanupOldEntries()},this.config.CLEANUP_INTERVAL)}pausePrefetching(){this.isPaused=!0,this.cancelPrefetches("hidden",e=>this.isLowPriority(e)),this.log("Prefetching paused")}resumePrefetching(){this.isDestroyed||(this.isPaused=!1,this.processQueue(),this.log("Prefetching resumed"))}async getCacheStats(){if(!this.db)return null;try{const e=this.db.transaction([this.config.STORE_NAME],"readonly").objectStore(this.config.STORE_NAME),t=await new Promise(t=>{const i=e.count();i.onsuccess=()=>t(i.result)}),[i,r]=await Promise.all([this.getStorageEstimate(),this.getStoredBytes()]);return{totalEntries:t,group:this.experimentGroup,storage:{indexedDBBytes:r,maxBytes:this.config.MAX_CACHED_BYTES,usage:i?.usage??null,quota:i?.quota??null},prefetchedUrls:this.prefetchedUrls.size,queueSize:this.prefetchQueue.size,inFlight:this.inFlightPrefetches.size,scheduler:this.getSchedulerStats(),hoverIntent:{accepted:this.hoverIntent.accepted,cancelled:this.hoverIntent.cancelled,headStarts:this.hoverIntent.headStarts},network:{...this.networkInfo,maxConcurrent:this.getMaxConcurrency()},analytics:Object.fromEntries(this.urlAnalytics)}}catch(e){return this.logError("Failed to get cache stats:",e),null}}async getServiceWorkerStats(){const{stats:e,metrics:t,urlMetrics:i,storage:r,performance:s}=await this.sendWorkerCommand("GET_CACHE_STATS");return{caches:e,metrics:t,urls:i,storage:r,performance:s}}async forceRefresh(e){if(!this.isValidUrl(e))throw new Error(`Invalid URL: ${e}`);const t=this.sanitizeUrl(e),{message:i}=await this.sendWorkerCommand("FORCE_REFRESH",{url:t});return{url:t,message:i}}async runCleanup(){const{message:e}=await this.sendWorkerCommand("CLEANUP_CACHE");return{message:e}}async invalidate(e){const t=e instanceof RegExp?e:new RegExp(e),{invalidated:i}=await this.sendWorkerCommand("INVALIDATE_CACHE",{pattern:t.source,flags:t.flags});return{invalidated:i}}async getOfflinePages(){const{pages:e}=await this.sendWorkerCommand("GET_OFFLINE_PAGES");return e}updateConfig(e){const t=this.config.SW_CONFIG;this.config=c(this.config,e),e.SW_CONFIG&&(this.config.SW_CONFIG=((e={},t={})=>{const i={...e};for(const[r,s]of Object.entries(t))i[r]=s&&"object"==typeof s&&!Array.isArray(s)?{...e[r],...s}:s;return i})(t,e.SW_CONFIG)),(e.SW_CONFIG||l.some(t=>t in e))&&this.syncServiceWorkerConfig(),this.log("Configuration updated:",e)}destroy(){this.broadcastChannel?.close(),this.performanceObserver?.disconnect(),this.intersectionObserver?.disconnect(),this.cleanupWorker?.terminate(),this.cleanupWorkerUrl&&URL.revokeObjectURL(this.cleanupWorkerUrl),clearInterval(this.cleanupTimer),navigator.connection?.removeEventListener("change",this.handleConnectionChange),Object.values(this.speculationCandidates).forEach(e=>{e.forEach(({timer:e})=>clearTimeout(e)),e.clear()}),this.speculationScript?.remove(),document.removeEventListener("click",this.handleSoftNavigationClick),window.removeEventListener("pagehide",this.handlePageHide),window.navigation?.removeEventListener("navigate",this.handleNavigate),this.isDestroyed=!0,this.isPaused=!0,this.prefetchQueue.clear(),this.cancelPrefetches("destroyed",()=>!0),document.removeEventListener("mouseout",this.handleMouseOut,!0),document.removeEventListener("mousemove",this.handlePointerMove,!0),this.cancelHoverIntent(),this.visibleLinks.clear(),document.removeEventListener("visibilitychange",this.handleVitalsHidden),window.removeEventListener("pagehide",this.handleVitalsHidden),this.vitalsObservers.forEach(({observer:e})=>e.disconnect()),window.removeEventListener("popstate",this.handlePopState),this.db?.close(),this.eventListeners.clear(),this.log("Velocity destroyed")}initSoftNavigation(){this.config.SOFT_NAVIGATION&&("DOMParser"in window&&window.history?.pushState?(history.scrollRestoration="manual",history.replaceState({...history.state,velocitySoftNav:!0,scrollY:window.scrollY},""),this.currentDocumentUrl=this.sanitizeUrl(window.location.href),document.addEventListener("click",this.handleSoftNavigationClick),window.addEventListener("popstate",this.handlePopState),this.log("Soft navigation enabled")):this.log("Soft navigation not supported"))}handleSoftNavigationClick(e){if(e.defaultPrevented||0!==e.button)return;if(e.metaKey||e.ctrlKey||e.shiftKey||e.altKey)return;const t=this.findLinkElement(e.target);t&&this.isSoftNavigable(t)&&this.prefetchedUrls.has(this.sanitizeUrl(t.href))&&(e.preventDefault(),this.saveScrollPosition(),this.softNavigate(t.href,{push:!0}))}handlePopState(e){e.state?.velocitySoftNav&&this.sanitizeUrl(window.location.href)!==this.currentDocumentUrl&&this.softNavigate(window.location.href,{push:!1,scrollY:e.state.scrollY||0})}isSoftNavigable(e){return(!e.target||"_self"===e.target)&&(!e.hasAttribute("download")&&(e.origin===window.location.origin&&("off"!==this.getLinkOptions(e).mode&&((!e.hash||e.pathname!==window.location.pathname||e.search!==window.location.search)&&this.isValidUrl(e.href)))))}saveScrollPosition(){history.replaceState({...history.state,velocitySoftNav:!0,scrollY:window.scrollY},"")}async softNavigate(e,{push:t=!0,scrollY:i=0}={}){this.emit("navigation:start",e,{soft:!0});const r=performance.now();try{const{response:s,source:n}=await this.getNavigationResponse(e),o=performance.now(),a=s?.headers.get("Content-Type")||"";if(!s||!s.ok||!a.includes("text/html"))throw new Error("No usable cached document");const c=await s.text(),l=(new DOMParser).parseFromString(c,"text/html"),h=s.redirected&&s.url?s.url:e;this.finishVitalsRecord();const d=()=>{t&&history.pushState({velocitySoftNav:!0,scrollY:0},"",h),this.swapDocument(l),this.currentDocumentUrl=this.sanitizeUrl(h),this.restoreScroll(h,i)};this.config.VIEW_TRANSITIONS&&"function"==typeof document.startViewTransition?await document.startViewTransition(d).updateCallbackDone:d(),this.startSoftNavigationVitals(h,n,r,o),this.log("Soft navigation completed:",h),this.emit("navigation:complete",h,{soft:!0}),this.predictNextPages()}catch(i){this.log("Soft navigation failed, falling back to a full load:",i),this.emit("navigation:fallback",e,{reason:i.message}),t?window.location.assign(e):window.location.reload()}}async getNavigationResponse(e){const t=await this.getCachedResponse(e,{freshOnly:!0});if(t)return{response:t,source:"velocity-cache"};if("caches"in window){const t=await caches.match(e),i=parseInt(t?.headers.get("X-VelocityCache-Timestamp"),10);if(t&&this.isResponseFresh(t.headers,i))return{response:t,source:"sw-cache"}}const i=new AbortController,r=setTimeout(()=>i.abort(),this.config.PREFETCH_TIMEOUT);try{return{response:await fetch(e,{credentials:"same-origin",signal:i.signal,headers:{Accept:"text/html"}}),source:"network"}}finally{clearTimeout(r)}}swapDocument(e){const t=new Set(Array.from(document.scripts,e=>e.src).filter(Boolean));document.title=e.title,this.mergeHead(e.head,t),Array.from(document.body.attributes).forEach(e=>document.body.removeAttribute(e.name)),Array.from(e.body.attributes).forEach(e=>document.body.setAttribute(e.name,e.value)),document.body.replaceChildren(...Array.from(e.body.childNodes,e=>document.adoptNode(e))),this.runScripts(document.body,t)}mergeHead(e,t){const i=new Set(Array.from(document.head.children,e=>e.outerHTML));document.head.querySelectorAll("meta[name], meta[property]").forEach(e=>e.remove());for(const r of Array.from(e.children)){if("TITLE"===r.tagName)continue;if("META"===r.tagName&&(r.name||r.getAttribute("property"))||!i.has(r.outerHTML))if("SCRIPT"===r.tagName){if(r.src&&t.has(r.src))continue;document.head.appendChild(this.cloneScript(r))}else document.head.appendChild(document.importNode(r,!0))}}runScripts(e,t){e.querySelectorAll("script").forEach(e=>{e.src&&t.has(e.src)||e.replaceWith(this.cloneScript(e))})}cloneScript(e){const t=document.createElement("script");return Array.from(e.attributes).forEach(e=>t.setAttribute(e.name,e.value)),t.textContent=e.textContent,e.src&&!e.hasAttribute("async")&&(t.async=!1),t}restoreScroll(e,t){const{hash:i}=new URL(e,window.location.origin),r=i&&document.getElementById(decodeURIComponent(i.slice(1)));r?r.scrollIntoView():window.scrollTo(0,t)}findLinkElement(e){for(;e&&e!==document;){if("A"===e.tagName&&e.href)return e;e=e.parentElement}return null}isValidUrl(e){try{const t=new URL(e,window.location.origin);return(t.origin===window.location.origin?t.protocol===window.location.protocol:this.isAllowedOrigin(t.origin))&&!e.includes("javascript:")&&!e.includes("data:")&&!e.includes("blob:")&&!e.includes("vbscript:")}catch{return!1}}isAllowedOrigin(e){return this.config.ALLOWED_ORIGINS.some(t=>{try{const i=new URL("string"==typeof t?t:t.origin);return i.origin===e&&/^https?:$/.test(i.protocol)}catch{return!1}})}sanitizeUrl(e){return new URL(e,window.location.origin).href.replace(/[<>"'`]/g,"").split("#")[0]}async fetchResponseForCache(e,t){try{const i=new AbortController,r=setTimeout(()=>i.abort(),this.config.PREFETCH_TIMEOUT);t?.addEventListener("abort",()=>i.abort(),{once:!0});const s=new URL(e,window.location.origin).origin===window.location.origin,n=await fetch(e,{method:"GET",mode:"cors",credentials:"same-origin",signal:i.signal,headers:s?{"Cache-Control":"no-cache"}:{}});if(200!==n.status)return clearTimeout(r),null;const o=n.headers.get("Content-Type")||"",a=p.test(o)?await n.text():await n.blob();clearTimeout(r);const c={};return g.forEach(e=>{const t=n.headers.get(e);null!==t&&(c[e]=t)}),{status:n.status,statusText:n.statusText,headers:c,body:a,size:"string"==typeof a?new Blob([a]).size:a.size}}catch(t){return"AbortError"===t.name?this.log("Fetch aborted for:",e):this.logError("Failed to fetch content:",t),null}}async getCachedResponse(e,{freshOnly:t=!1}={}){if(!this.db||!this.isValidUrl(e))return null;const i=this.sanitizeUrl(e);try{const e=this.db.transaction([this.config.STORE_NAME],"readwrite").objectStore(this.config.STORE_NAME),r=await new Promise((t,r)=>{const s=e.get(i);s.onsuccess=()=>{const i=s.result;i&&e.put({...i,lastAccessed:Date.now(),accessCount:i.accessCount+1}),t(i)},s.onerror=()=>r(s.error)});if(!r||void 0===r.body)return null;const s=new Response(r.body,{status:r.status,statusText:r.statusText,headers:r.headers});return!t||r.version===this.config.CACHE_VERSION&&this.isResponseFresh(s.headers,r.timestamp)?s:null}catch(e){return this.logError("Failed to read cached response:",e),null}}isResponseFresh(e,t){if(!t)return!1;const i=(e.get("Cache-Control")||"").toLowerCase();if(/\bno-(cache|store)\b/.test(i))return!1;const r=Date.parse(e.get("Date"))||t,s=Math.max(t-r,0)+(Date.now()-t),n=i.match(/\bmax-age=(\d+)/),o=Date.parse(e.get("Expires")),a=Date.parse(e.get("Last-Modified"));let c=36e5;return n?c=1e3*Number(n[1]):Number.isNaN(o)?Number.isNaN(a)||(c=Math.max(0,(r-a)/10)):c=o-r,s<=c}async renderCachedContent(e,t){const i=await this.getCachedResponse(e);return!!i&&(t.innerHTML=this.sanitizeHtml(await i.text()),!0)}async updateAnalytics(e){const t=this.urlAnalytics.get(e)||{visitCount:0,lastVisit:0};if(t.visitCount++,t.lastVisit=Date.now(),this.urlAnalytics.set(e,t),this.db)try{const i=this.db.transaction([this.config.ANALYTICS_STORE],"readwrite").objectStore(this.config.ANALYTICS_STORE),r=i.get(e);r.onsuccess=()=>{i.put({...r.result,url:e,...t})}}catch(e){this.logError("Failed to update analytics:",e)}}recordTransition(e,t){if(!this.db||!this.config.PREDICTION_ENABLED)return;if(!this.isValidUrl(e)||!this.isValidUrl(t))return;const i=this.sanitizeUrl(e),r=this.sanitizeUrl(t);if(i!==r)try{const e=this.db.transaction([this.config.ANALYTICS_STORE],"readwrite").objectStore(this.config.ANALYTICS_STORE),t=e.get(i);t.onsuccess=()=>{const s=t.result||{url:i},n=s.transitions||{},o=Date.now(),a=n[r]||{weight:0,lastSeen:o};n[r]={weight:this.decayWeight(a.weight,a.lastSeen,o)+1,lastSeen:o},s.transitions=this.trimTransitions(n,o),e.put(s)}}catch(e){this.logError("Failed to record transition:",e)}}decayWeight(e,t,i=Date.now()){const r=Math.max(0,i-t);return e*Math.pow(.5,r/this.config.PREDICTION_HALF_LIFE)}trimTransitions(e,t=Date.now()){const i=Object.entries(e).map(([e,i])=>[e,i,this.decayWeight(i.weight,i.lastSeen,t)]).sort((e,t)=>t[2]-e[2]).slice(0,this.config.PREDICTION_MAX_TARGETS);return Object.fromEntries(i.map(([e,t])=>[e,t]))}getPredictions(e){if(!e||!e.transitions)return[];const t=Date.now(),i=Object.entries(e.transitions).map(([e,i])=>({url:e,weight:this.decayWeight(i.weight,i.lastSeen,t)})),r=i.reduce((e,t)=>e+t.weight,0);return r<this.config.PREDICTION_MIN_SAMPLES?[]:i.map(({url:e,weight:t})=>({url:e,confidence:t/r})).filter(({confidence:e})=>e>=this.config.PREDICTION_MIN_CONFIDENCE).sort((e,t)=>t.confidence-e.confidence).slice(0,this.config.PREDICTION_MAX_PAGES)}async predictNextPages(){if(this.db&&this.config.PREDICTION_ENABLED)try{const e=this.sanitizeUrl(window.location.href),t=this.db.transaction([this.config.ANALYTICS_STORE],"readonly").objectStore(this.config.ANALYTICS_STORE),i=await new Promise((i,r)=>{const s=t.get(e);s.onsuccess=()=>i(s.result),s.onerror=()=>r(s.error)}),r=this.config.PRIORITY_WEIGHTS.predicted||1;for(const{url:e,confidence:t}of this.getPredictions(i)){this.log(`Predicted next page ${e} (confidence: ${t.toFixed(2)})`),this.emit("prefetch:predicted",e,{confidence:t});const i=this.findLinkForUrl(e),s=i?this.getLinkOptions(i):{};this.processLink(e,"predicted",s.priority??Math.max(1,Math.round(r*(.5+t))),s)}}catch(e){this.logError("Next-page prediction failed:",e)}}async prerenderPage(e,t=8){try{if(this.speculationRulesSupported)return this.addSpeculationCandidate("prerender",e,t,this.config.PRERENDER_TTL),this.prerenderedUrls.add(e),void this.log("Prerendering via speculation rules:",e);if(this.prerenderedUrls.has(e))return;const i=document.createElement("link");i.rel="prerender",i.href=e,i.crossOrigin="anonymous",document.head.appendChild(i),this.prerenderedUrls.add(e),setTimeout(()=>{i.parentNode&&i.remove(),this.prerenderedUrls.delete(e)},this.config.PRERENDER_TTL),this.log("Prerendering:",e)}catch(e){this.logError("Prerender failed:",e)}}}function y(e={}){return window.VelocityInstance&&window.VelocityInstance.destroy(),window.VelocityInstance=new v(e),window.VelocityInstance}"loading"===document.readyState?document.addEventListener("DOMContentLoaded",()=>{y()}):y(),window.Velocity={init:y,getInstance:()=>window.VelocityInstance,version:"1.0.0"}}();
\ No newline at end of file